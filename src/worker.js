@@ -1,7 +1,10 @@
 import { createClient } from "@supabase/supabase-js";
 import axios from "axios";
 import * as cheerio from "cheerio";
+import puppeteer from "puppeteer-core";
 import { CookieJar } from "tough-cookie";
+import { createHash, randomBytes } from "node:crypto";
+import { gunzipSync } from "node:zlib";
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -24,6 +27,24 @@ const HEARTBEAT_MS = Number(process.env.HEARTBEAT_MS || 15000);
 const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 12000);
 const RESCUE_STALE_AFTER_MIN = Number(process.env.RESCUE_STALE_AFTER_MIN || 10);
 const MAX_REDIRECTS = Number(process.env.MAX_REDIRECTS || 5);
+const CRAWL_CONCURRENCY = Number(process.env.CRAWL_CONCURRENCY || 3);
+const HOST_MIN_GAP_MS = Number(process.env.HOST_MIN_GAP_MS || 250);
+const CHECKPOINT_EVERY_PAGES = Number(process.env.CHECKPOINT_EVERY_PAGES || 5);
+const SITEMAP_MAX_FILES = Number(process.env.SITEMAP_MAX_FILES || 25);
+const SITEMAP_MAX_URLS = Number(process.env.SITEMAP_MAX_URLS || 5000);
+// Sitemap protocol limit for one file, uncompressed
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+const TRAP_FAMILY_CEILING = Number(process.env.TRAP_FAMILY_CEILING || 500);
+const TRAP_QUERY_VARIANTS = Number(process.env.TRAP_QUERY_VARIANTS || 25);
+const TRAP_CALENDAR_VARIANTS = Number(process.env.TRAP_CALENDAR_VARIANTS || 12);
+const CANONICAL_TARGET_MAX_FETCHES = Number(process.env.CANONICAL_TARGET_MAX_FETCHES || 50);
+const DUPLICATE_SIMILARITY_THRESHOLD = Number(process.env.DUPLICATE_SIMILARITY_THRESHOLD || 0.9);
+const UNDERLINKED_MIN_INLINKS = Number(process.env.UNDERLINKED_MIN_INLINKS || 3);
+const EXTERNAL_LINK_CONCURRENCY = Number(process.env.EXTERNAL_LINK_CONCURRENCY || 4);
+const EXTERNAL_LINK_MAX_CHECKS = Number(process.env.EXTERNAL_LINK_MAX_CHECKS || 300);
+const EXCESSIVE_OUTBOUND_LINKS = Number(process.env.EXCESSIVE_OUTBOUND_LINKS || 100);
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES || 200 * 1024);
+const IMAGE_SIZE_MAX_CHECKS = Number(process.env.IMAGE_SIZE_MAX_CHECKS || 300);
 
 const NON_HTML_EXTENSIONS = [
   ".jpg", ".jpeg", ".png", ".gif", ".webp", ".svg", ".ico",
@@ -214,30 +235,6 @@ function isArchiveLikeUrl(urlString) {
   return false;
 }
 
-function detectSchemaTypes($) {
-  const types = new Set();
-
-  $("[itemscope][itemtype]").each((_, el) => {
-    const itemType = ($(el).attr("itemtype") || "").trim();
-    if (!itemType) return;
-    const shortType = itemType.split("/").pop();
-    if (shortType) types.add(shortType);
-  });
-
-  $('script[type="application/ld+json"]').each((_, el) => {
-    const raw = $(el).html() || "";
-    const matches = raw.match(/"@type"\s*:\s*"([^"]+)"/g) || [];
-    for (const match of matches) {
-      const typeMatch = match.match(/"@type"\s*:\s*"([^"]+)"/);
-      if (typeMatch?.[1]) {
-        types.add(typeMatch[1]);
-      }
-    }
-  });
-
-  return Array.from(types).slice(0, 20);
-}
-
 function addScore(map, key, amount) {
   map[key] = (map[key] || 0) + amount;
 }
@@ -491,7 +488,7 @@ function extractNavLinks($, baseUrl) {
   return links;
 }
 
-function extractInternalLinks($, pageUrl, seedUrl) {
+function extractInternalLinks($, pageUrl, scope) {
   const results = [];
   const seen = new Set();
 
@@ -504,9 +501,9 @@ function extractInternalLinks($, pageUrl, seedUrl) {
     const fullUrl = safeUrl(href, pageUrl);
     if (!fullUrl) return;
 
-    const normalized = normalizeUrl(fullUrl.toString());
+    const normalized = normalizeScopedUrl(scope, fullUrl.toString());
     if (!normalized) return;
-    if (!sameHost(normalized, seedUrl)) return;
+    if (!evaluateScope(scope, normalized).inScope) return;
     if (!isLikelyHtmlUrl(normalized)) return;
     if (seen.has(normalized)) return;
 
@@ -568,6 +565,7 @@ function createSnapshotSummaryState(seedUrl) {
       revenue: [],
       paid_risk: [],
       opportunity: [],
+      image: [],
     },
     issues: {
       non_indexable_pages: 0,
@@ -578,8 +576,172 @@ function createSnapshotSummaryState(seedUrl) {
       thin_content_pages: 0,
       slow_pages: 0,
       deep_pages: 0,
+      js_dependent_pages: 0,
+      ua_dependent_pages: 0,
+      schema_error_pages: 0,
+      schema_warning_pages: 0,
+      soft_404_pages: 0,
+    },
+    soft_404_urls: [],
+    // How main content was isolated from site chrome, per page
+    main_content: {
+      pages: 0,
+      by_method: {},
+      boilerplate_ratio_total: 0,
+      template_blocks: 0,
+      pages_with_template_blocks: 0,
+    },
+    // Pages per heading outline issue type
+    headings: {
+      pages_with_issues: 0,
+      issues: {},
+    },
+    // Pages per Open Graph / Twitter Card issue type, plus the post-crawl og:image check
+    social: {
+      pages_with_issues: 0,
+      issues: {},
+      images_checked: 0,
+      broken_images: [],
+      small_images: [],
+    },
+    // Image audit totals: images per issue type, with example image URLs
+    images: {
+      pages_with_images: 0,
+      images: 0,
+      issues: {},
+      examples: {},
+      sizes_checked: 0,
+      oversized: [],
     },
     top_opportunity_pages: [],
+    // robots.txt outcome plus every frontier URL it kept us from auditing
+    robots: {
+      respected: false,
+      user_agent: null,
+      robots_txt_url: null,
+      robots_txt_status: null,
+      crawl_delay_ms: null,
+      blocked_count: 0,
+      blocked_urls: [],
+    },
+    // Sitemap discovery plus how listed URLs behaved when crawled
+    sitemap: {
+      files: [],
+      urls_listed: 0,
+      pages_in_sitemap: [],
+      non_200: [],
+      noindex: [],
+      canonicalised: [],
+    },
+    // Redirects met while crawling, and internal links that point at them (filled after the crawl)
+    redirects: {
+      chains: [],
+      loops: [],
+      temporary: [],
+      linked_redirects: [],
+      linked_redirect_count: 0,
+    },
+    // Incremental recrawl: how this crawl compares with the previous snapshot
+    incremental: {
+      enabled: false,
+      previous_snapshot_id: null,
+      pages_unchanged: 0,
+      pages_reused: 0,
+      pages_changed: 0,
+      pages_new: 0,
+      changed_urls: [],
+    },
+    // Crawl scope config and same-site URLs it kept out, counted per rule
+    scope: {
+      config: null,
+      out_of_scope_count: 0,
+      out_of_scope_by_rule: {},
+      examples: {},
+    },
+    // Post-crawl check of where non-self canonicals point
+    canonicals: {
+      pages_checked: 0,
+      targets_fetched: 0,
+      issues: {},
+    },
+    // Post-crawl hreflang validation, issue counts per action type
+    hreflang: {
+      pages_with_hreflang: 0,
+      clusters: 0,
+      targets_fetched: 0,
+      issues: {},
+      examples: {},
+    },
+    // Normalised title / meta description / H1 → { value, urls } for indexable pages
+    metadata_index: {
+      title: {},
+      meta_description: {},
+      h1: {},
+    },
+    // Post-crawl count of values shared by more than one page
+    duplicate_metadata: {
+      titles: 0,
+      meta_descriptions: 0,
+      h1s: 0,
+      pages_affected: 0,
+    },
+    // Post-crawl internal link graph: edge count and strongest pages by PageRank
+    link_graph: {
+      pages: 0,
+      edges: 0,
+      pages_without_inlinks: 0,
+      top_pages: [],
+    },
+    // Optional post-crawl check of outbound links (job.check_external_links)
+    external_links: {
+      enabled: false,
+      unique_urls: 0,
+      checked: 0,
+      broken: [],
+      redirected_count: 0,
+      flagged_domains: [],
+      excessive_pages: [],
+    },
+    // Post-crawl map of broken internal URLs to the pages linking to them
+    broken_links: {
+      targets: 0,
+      sources: 0,
+      links: 0,
+      list: [],
+    },
+    // Post-crawl orphan and under-linked commercial pages
+    link_coverage: {
+      min_inlinks: UNDERLINKED_MIN_INLINKS,
+      orphan_count: 0,
+      under_linked_count: 0,
+      // Uncrawled sitemap/GSC URLs with no known inlinks when the crawl was cut short
+      unverified_count: 0,
+      orphans: [],
+      under_linked: [],
+      unverified: [],
+    },
+    // Post-crawl exact and near-duplicate content clusters
+    duplicates: {
+      threshold: DUPLICATE_SIMILARITY_THRESHOLD,
+      pages_fingerprinted: 0,
+      exact_clusters: 0,
+      near_clusters: 0,
+      pages_in_clusters: 0,
+      clusters: [],
+    },
+    // Frontier candidates suppressed as crawl traps, per trap type
+    crawl_traps: {
+      suppressed_count: 0,
+      by_type: {},
+      examples: {},
+    },
+    // Fetch profile used, plus dual-fetch results for key pages
+    profiles: {
+      fetch_profile: DEFAULT_FETCH_PROFILE,
+      compare_profile: null,
+      pages_compared: 0,
+      pages_differing: [],
+    },
     homepage_text_snippet: "", // body text of first page (for NL API)
     // Location signals accumulated across all crawled pages
     location_signals: {
@@ -730,6 +892,17 @@ function registerSelectedPage(queueState, pageType, familyKey) {
   incrementCount(queueState.selectedFamilyCounts, familyKey);
 }
 
+// Undo a provisional selection, e.g. when a dispatched page classifies differently
+function unregisterSelectedPage(queueState, pageType, familyKey) {
+  queueState.selectedTypeCounts[pageType] = Math.max(0, getCount(queueState.selectedTypeCounts, pageType) - 1);
+  queueState.selectedFamilyCounts[familyKey] = Math.max(0, getCount(queueState.selectedFamilyCounts, familyKey) - 1);
+}
+
+// Highest score first; depth then URL break ties so dispatch order is stable
+function compareQueueEntries(a, b) {
+  return b.score - a.score || a.depth - b.depth || a.url.localeCompare(b.url);
+}
+
 function registerSummaryPage(summaryState, pageSummary) {
   summaryState.pages_crawled += 1;
   incrementCount(summaryState.page_type_counts, pageSummary.pageType);
@@ -743,7 +916,7 @@ function registerSummaryPage(summaryState, pageSummary) {
   summaryState.score_lists.visibility.push(pageSummary.visibilityScore);
   summaryState.score_lists.revenue.push(pageSummary.revenueScore);
   summaryState.score_lists.paid_risk.push(pageSummary.paidRiskScore);
-  summaryState.score_lists.opportunity.push(pageSummary.pageOpportunityScore);
+  if (!pageSummary.soft404) summaryState.score_lists.opportunity.push(pageSummary.pageOpportunityScore);
 
   if (!pageSummary.indexable) summaryState.issues.non_indexable_pages += 1;
   if (!pageSummary.canonicalOk) summaryState.issues.canonical_issues += 1;
@@ -755,19 +928,65 @@ function registerSummaryPage(summaryState, pageSummary) {
   }
   if (pageSummary.loadMs && pageSummary.loadMs > 5000) summaryState.issues.slow_pages += 1;
   if (pageSummary.internalLinkDepth >= 2) summaryState.issues.deep_pages += 1;
+  if (pageSummary.jsDependentContent) summaryState.issues.js_dependent_pages += 1;
+  if (pageSummary.schemaFindings?.errors.length) summaryState.issues.schema_error_pages += 1;
+  if (pageSummary.schemaFindings?.warnings.length) summaryState.issues.schema_warning_pages += 1;
+
+  if (pageSummary.mainContentMethod) {
+    const mainContent = summaryState.main_content;
+    mainContent.pages += 1;
+    mainContent.by_method[pageSummary.mainContentMethod] = (mainContent.by_method[pageSummary.mainContentMethod] || 0) + 1;
+    mainContent.boilerplate_ratio_total += pageSummary.boilerplateRatio || 0;
+  }
 
-  summaryState.top_opportunity_pages.push({
-    url: pageSummary.url,
-    page_type: pageSummary.pageType,
-    opportunity: pageSummary.pageOpportunityScore,
-    structural: pageSummary.structuralScore,
-    visibility: pageSummary.visibilityScore,
-    revenue: pageSummary.revenueScore,
-    priority_bucket: pageSummary.priorityBucket,
-  });
+  const headingIssueTypes = getHeadingIssueTypes(pageSummary.headingFindings);
+  if (headingIssueTypes.length) {
+    summaryState.headings.pages_with_issues += 1;
+    for (const type of headingIssueTypes) {
+      summaryState.headings.issues[type] = (summaryState.headings.issues[type] || 0) + 1;
+    }
+  }
+
+  const socialIssueTypes = [...new Set((pageSummary.socialFindings || []).map((issue) => issue.type))];
+  if (socialIssueTypes.length) {
+    summaryState.social.pages_with_issues += 1;
+    for (const type of socialIssueTypes) {
+      summaryState.social.issues[type] = (summaryState.social.issues[type] || 0) + 1;
+    }
+  }
+
+  if (pageSummary.imageAudit?.count) {
+    summaryState.score_lists.image.push(pageSummary.imageScore ?? computeImageScore(pageSummary.imageAudit));
+    registerImageAudit(summaryState.images, pageSummary.imageAudit);
+  }
+
+  if (pageSummary.soft404) {
+    summaryState.issues.soft_404_pages += 1;
+    if (summaryState.soft_404_urls.length < 50) summaryState.soft_404_urls.push(pageSummary.url);
+  }
+
+  if (pageSummary.indexable && !pageSummary.canonicalisedElsewhere && !pageSummary.soft404) {
+    indexPageMetadata(summaryState, pageSummary.url, {
+      title: pageSummary.title,
+      meta_description: pageSummary.metaDescription,
+      h1: pageSummary.h1Text,
+    });
+  }
+
+  if (!pageSummary.soft404) {
+    summaryState.top_opportunity_pages.push({
+      url: pageSummary.url,
+      page_type: pageSummary.pageType,
+      opportunity: pageSummary.pageOpportunityScore,
+      structural: pageSummary.structuralScore,
+      visibility: pageSummary.visibilityScore,
+      revenue: pageSummary.revenueScore,
+      priority_bucket: pageSummary.priorityBucket,
+    });
 
-  summaryState.top_opportunity_pages.sort((a, b) => b.opportunity - a.opportunity);
-  summaryState.top_opportunity_pages = summaryState.top_opportunity_pages.slice(0, 5);
+    summaryState.top_opportunity_pages.sort((a, b) => b.opportunity - a.opportunity);
+    summaryState.top_opportunity_pages = summaryState.top_opportunity_pages.slice(0, 5);
+  }
 
   // Accumulate location signals from this page
   if (pageSummary.locationSignals && summaryState.location_signals) {
@@ -779,6 +998,53 @@ function registerSummaryPage(summaryState, pageSummary) {
   }
 }
 
+function registerRedirectPage(summaryState, requestedUrl, pageResult) {
+  const chain = pageResult.redirectChain || [];
+  if (!chain.length) return;
+
+  const redirects = summaryState.redirects;
+  const finalUrl = pageResult.redirectLoop ? null : pageResult.url;
+
+  if (pageResult.redirectLoop) {
+    redirects.loops.push({ url: requestedUrl, chain });
+  } else if (chain.length > 1) {
+    redirects.chains.push({ url: requestedUrl, final_url: finalUrl, hops: chain.length });
+  }
+
+  const temporaryStatuses = chain
+    .map((hop) => hop.status)
+    .filter((status) => TEMPORARY_REDIRECT_STATUSES.includes(status));
+  if (temporaryStatuses.length) {
+    redirects.temporary.push({ url: requestedUrl, statuses: temporaryStatuses });
+  }
+}
+
+function registerIncrementalPage(summaryState, url, { previousCrawl, unchanged, reused = false }) {
+  const incremental = summaryState.incremental;
+  if (!incremental.enabled) return;
+
+  if (!previousCrawl) {
+    incremental.pages_new += 1;
+  } else if (unchanged) {
+    incremental.pages_unchanged += 1;
+    if (reused) incremental.pages_reused += 1;
+  } else {
+    incremental.pages_changed += 1;
+    if (incremental.changed_urls.length < 50) incremental.changed_urls.push(url);
+  }
+}
+
+function registerProfileComparison(summaryState, url, differences) {
+  summaryState.profiles.pages_compared += 1;
+  if (!differences.length) return;
+
+  summaryState.issues.ua_dependent_pages += 1;
+  summaryState.profiles.pages_differing.push({
+    url,
+    fields: differences.map((d) => d.field),
+  });
+}
+
 function getContentMixTargets(maxPages) {
   const usable = Math.max(0, maxPages - 1);
   return {
@@ -856,6 +1122,7 @@ function buildPriorityScore({
   siblingTypeCounts,
   queueState,
   maxPages,
+  sitemapEntry = null,
 }) {
   const pageType = classifyPageTypeFromSignals({ url: candidateUrl, anchorText });
   let score = 0;
@@ -925,6 +1192,13 @@ function buildPriorityScore({
   score += scoreSlugHint(candidateUrl);
   score -= depth * 10;
 
+  // Listed in the sitemap = the site owner considers it canonical and indexable
+  if (sitemapEntry) {
+    score += 6;
+    const lastmodMs = sitemapEntry.lastmod ? Date.parse(sitemapEntry.lastmod) : NaN;
+    if (Number.isFinite(lastmodMs) && Date.now() - lastmodMs < 180 * 24 * 60 * 60 * 1000) score += 4;
+  }
+
   const segs = getPathSegments(candidateUrl);
   if (segs.length <= 1) score += 6;
   else if (segs.length >= 4) score -= 6;
@@ -1000,6 +1274,13 @@ function getVisibilityPotential(pageType) {
   return map[pageType] ?? 0.45;
 }
 
+const COMMERCIAL_PAGE_TYPES = ["homepage", "pricing", "conversion", "service", "product"];
+
+// Page types that earn or convert revenue directly; they get higher action scores and impact
+function isCommercialPageType(pageType) {
+  return COMMERCIAL_PAGE_TYPES.includes(pageType);
+}
+
 function getThinContentThreshold(pageType) {
   const thresholds = {
     homepage: 250,
@@ -1046,6 +1327,8 @@ function computeStructuralScore({
   pageType,
   loadMs,
   schemaTypes,
+  duplicateFields = [],
+  headingIssues = [],
 }) {
   let score = 0;
 
@@ -1056,6 +1339,13 @@ function computeStructuralScore({
   if (hasH1) score += 12;
   if (canonicalOk) score += 10;
 
+  // Shared with other indexable pages: present, but not doing its job of telling pages apart
+  if (duplicateFields.includes("title")) score -= 8;
+  if (duplicateFields.includes("meta_description")) score -= 5;
+  if (duplicateFields.includes("h1")) score -= 4;
+
+  for (const type of headingIssues) score -= HEADING_ISSUE_PENALTIES[type] || 0;
+
   const contentDepthScore = computeContentDepthScore(wordCount, pageType);
   score += Math.round(contentDepthScore * 0.14);
 
@@ -1075,6 +1365,9 @@ function computeVisibilityScore({
   internalLinkDepth,
   noindex,
   loadMs,
+  robotsDirectives = null,
+  linkScore = null,
+  uniqueInlinks = null,
 }) {
   let score = 0;
 
@@ -1086,7 +1379,18 @@ function computeVisibilityScore({
   if (indexable) score += 12;
   if (noindex) score -= 22;
 
-  if (internalLinkDepth === 0) score += 10;
+  // Snippet limits keep the page indexed but shrink how it shows in results
+  if (robotsDirectives) {
+    if (robotsDirectives.nosnippet || robotsDirectives.max_snippet === 0) score -= 8;
+    else if (robotsDirectives.max_snippet != null && robotsDirectives.max_snippet < 50) score -= 4;
+    if (robotsDirectives.max_image_preview === "none" || robotsDirectives.noimageindex) score -= 2;
+  }
+
+  // Internal PageRank once the link graph is known; crawl depth stands in while crawling
+  if (linkScore != null) {
+    score += -6 + linkScore * 0.16;
+    if (uniqueInlinks === 0) score -= 4;
+  } else if (internalLinkDepth === 0) score += 10;
   else if (internalLinkDepth === 1) score += 6;
   else if (internalLinkDepth >= 3) score -= 6;
 
@@ -1134,7 +1438,11 @@ function computePageOpportunityScore({
   hasTitle,
   hasMeta,
   hasH1,
+  soft404 = false,
 }) {
+  // Soft 404s are error pages, not pages to improve
+  if (soft404) return 0;
+
   const weakness = 100 - structuralScore;
   const visibilityGap = 100 - visibilityScore;
   const contentDepthScore = computeContentDepthScore(wordCount, pageType);
@@ -1181,7 +1489,7 @@ function computePriorityBucket(opportunityScore, revenueScore, pageType) {
 }
 
 function getActionCap(pageType, pageOpportunityScore) {
-  if (["homepage", "pricing", "conversion", "service", "product"].includes(pageType)) {
+  if (isCommercialPageType(pageType)) {
     return pageOpportunityScore >= 70 ? 5 : 4;
   }
   if (["article", "category", "feature", "case_study"].includes(pageType)) return 4;
@@ -1218,6 +1526,150 @@ function dedupeAndLimitActions(actions, pageType, pageOpportunityScore) {
   return deduped.slice(0, cap).map(({ _sortScore, ...rest }) => rest);
 }
 
+function createPageAction({
+  actionType,
+  titleText,
+  summary,
+  whyItMatters,
+  technicalReason,
+  expectedImpactRange,
+  steps,
+  score,
+}) {
+  return {
+    action_type: actionType,
+    summary,
+    priority: getActionPriorityFromScore(score),
+    status: "pending",
+    title: titleText,
+    why_it_matters: whyItMatters,
+    technical_reason: technicalReason,
+    expected_impact_range: expectedImpactRange,
+    steps,
+    severity: getActionSeverityFromScore(score),
+    _sortScore: score,
+  };
+}
+
+const TEMPORARY_REDIRECT_STATUSES = [302, 303, 307];
+const REDIRECT_ACTION_TYPES = ["fix_redirect_loop", "shorten_redirect_chain", "use_permanent_redirect"];
+
+function describeRedirectChain(redirectChain) {
+  return redirectChain.map((hop) => `${hop.url} (${hop.status})`).join(" → ");
+}
+
+/**
+ * Page actions for the redirect hops recorded while fetching the page.
+ * Returned with _sortScore so callers can merge them into buildActions output.
+ */
+function buildRedirectActions({ redirectChain = [], redirectLoop = false, pageType = "general" }) {
+  const actions = [];
+  const isCommercial = isCommercialPageType(pageType);
+  if (!redirectChain.length) return actions;
+
+  const chainText = describeRedirectChain(redirectChain);
+
+  const pushRedirectAction = (spec) => actions.push(createPageAction(spec));
+
+  if (redirectLoop) {
+    pushRedirectAction({
+      actionType: "fix_redirect_loop",
+      titleText: "Fix redirect loop",
+      summary: "This URL redirects in a circle and never returns a page.",
+      whyItMatters: "Search engines and visitors cannot reach a page caught in a redirect loop, so it cannot rank or convert.",
+      technicalReason: `The redirect hops return to an earlier URL: ${chainText}.`,
+      expectedImpactRange: isCommercial ? "High" : "Medium-High",
+      steps: [
+        "Check server, CDN and CMS redirect rules for conflicting entries.",
+        "Point the URL at a single final destination that returns HTTP 200.",
+        "Update internal links to the final destination."
+      ],
+      score: isCommercial ? 97 : 90,
+    });
+    return actions;
+  }
+
+  if (redirectChain.length > 1) {
+    pushRedirectAction({
+      actionType: "shorten_redirect_chain",
+      titleText: "Shorten redirect chain",
+      summary: `This URL passes through ${redirectChain.length} redirects before reaching the page.`,
+      whyItMatters: "Each extra hop slows users down and search engines may stop following long chains, losing link equity.",
+      technicalReason: `Redirect chain: ${chainText}.`,
+      expectedImpactRange: "Low-Medium",
+      steps: [
+        "Redirect the first URL straight to the final destination.",
+        "Update internal links and sitemaps to the final URL."
+      ],
+      score: isCommercial ? 66 : 56,
+    });
+  }
+
+  const temporaryHops = redirectChain.filter((hop) => TEMPORARY_REDIRECT_STATUSES.includes(hop.status));
+  if (temporaryHops.length > 0) {
+    pushRedirectAction({
+      actionType: "use_permanent_redirect",
+      titleText: "Check whether this redirect should be permanent",
+      summary: "This URL uses a temporary (302, 303 or 307) redirect.",
+      whyItMatters: "If the move is permanent, a temporary redirect can keep the old URL indexed so ranking signals are slower to consolidate on the destination. Login, locale and campaign redirects are often meant to be temporary.",
+      technicalReason: `Temporary redirect hops: ${describeRedirectChain(temporaryHops)}.`,
+      expectedImpactRange: "Low-Medium",
+      steps: [
+        "Confirm whether the move is permanent.",
+        "If it is, change the redirect to a 301 or 308.",
+        "Keep 302/307 only for genuinely temporary moves."
+      ],
+      score: isCommercial ? 60 : 50,
+    });
+  }
+
+  return actions;
+}
+
+// Thin-content actions, shared with removeTemplateBoilerplate, which re-judges word counts after the crawl
+function buildThinContentActions({ wordCount, pageType }) {
+  const actions = [];
+  const thinThreshold = getThinContentThreshold(pageType);
+  const isCommercial = isCommercialPageType(pageType);
+  const pushAction = (spec) => actions.push(createPageAction(spec));
+
+  if (wordCount < thinThreshold && ["homepage", "service", "pricing", "product", "category", "article", "general", "feature", "case_study"].includes(pageType)) {
+    pushAction({
+      actionType: "expand_content",
+      titleText: "Expand thin content",
+      summary: "The page content looks thin for its intent.",
+      whyItMatters: "Thin pages often struggle to rank or convert because they do not fully satisfy user intent.",
+      technicalReason: `The page appears to contain about ${wordCount} words, which is below the expected depth for this page type.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Add deeper and more useful information related to the page topic.",
+        "Answer common user questions directly.",
+        "Use stronger sections and supporting headings to improve topical depth."
+      ],
+      score: isCommercial ? 78 : pageType === "article" ? 74 : 62,
+    });
+  }
+
+  if (pageType === "article" && wordCount < thinThreshold) {
+    pushAction({
+      actionType: "improve_article_depth",
+      titleText: "Improve article depth and completeness",
+      summary: "This article likely needs more depth to compete for informational queries.",
+      whyItMatters: "Informational pages often need stronger coverage to rank for broader and more competitive topics.",
+      technicalReason: "The article appears thin relative to the expected threshold for informational content.",
+      expectedImpactRange: "Medium",
+      steps: [
+        "Expand the article to cover subtopics, definitions, FAQs, or examples.",
+        "Add stronger section structure and semantic breadth.",
+        "Make sure the article fully satisfies search intent."
+      ],
+      score: 72,
+    });
+  }
+
+  return actions;
+}
+
 function buildActions({
   pageType,
   statusCode,
@@ -1236,35 +1688,45 @@ function buildActions({
   revenueScore,
   internalLinkDepth,
   loadMs,
+  jsDependencyReasons = [],
+  redirectChain = [],
+  redirectLoop = false,
+  profileDifferences = [],
+  fetchProfile = DEFAULT_FETCH_PROFILE,
+  compareProfile = null,
+  canonicalTags = [],
+  canonicalIssues = [],
+  canonicalTarget = null,
+  schemaFindings = null,
+  imageAudit = null,
+  headingFindings = null,
+  socialFindings = null,
+  soft404 = null,
 }) {
-  const actions = [];
-  const thinThreshold = getThinContentThreshold(pageType);
-  const isCommercial = ["homepage", "pricing", "conversion", "service", "product"].includes(pageType);
+  const actions = buildRedirectActions({ redirectChain, redirectLoop, pageType });
+  const isCommercial = isCommercialPageType(pageType);
 
-  const pushAction = ({
-    actionType,
-    titleText,
-    summary,
-    whyItMatters,
-    technicalReason,
-    expectedImpactRange,
-    steps,
-    score,
-  }) => {
-    actions.push({
-      action_type: actionType,
-      summary,
-      priority: getActionPriorityFromScore(score),
-      status: "pending",
-      title: titleText,
-      why_it_matters: whyItMatters,
-      technical_reason: technicalReason,
-      expected_impact_range: expectedImpactRange,
-      steps,
-      severity: getActionSeverityFromScore(score),
-      _sortScore: score,
+  const pushAction = (spec) => actions.push(createPageAction(spec));
+
+  // On-page advice is meaningless for an error page, so a soft 404 gets only this action
+  if (soft404?.soft404) {
+    pushAction({
+      actionType: "fix_soft_404",
+      titleText: "Return a real 404 for this error page",
+      summary: "This URL returns HTTP 200 but shows a \"not found\" or empty page.",
+      whyItMatters: "Search engines treat soft 404s as low-quality pages, waste crawl budget on them and may drop them or similar real pages from the index.",
+      technicalReason: `Soft 404 signals: ${soft404.reasons.join("; ")}.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Return HTTP 404 or 410 for URLs that do not exist.",
+        "Redirect removed pages to their closest live replacement.",
+        "If the page should exist, restore its content.",
+        "Update internal links pointing to this URL."
+      ],
+      score: isCommercial ? 88 : 80,
     });
-  };
+    return dedupeAndLimitActions(actions, pageType, pageOpportunityScore);
+  }
 
   if (statusCode >= 400) {
     pushAction({
@@ -1293,7 +1755,7 @@ function buildActions({
       technicalReason: "The page appears live, but crawl signals suggest it may not be intended for indexation.",
       expectedImpactRange: isCommercial ? "High" : "Medium-High",
       steps: [
-        "Check robots meta directives on the page.",
+        "Check robots meta tags and the X-Robots-Tag response header.",
         "Confirm whether noindex is intentional.",
         "Remove noindex from pages that should rank."
       ],
@@ -1335,71 +1797,65 @@ function buildActions({
     });
   }
 
-  if (!hasH1) {
-    pushAction({
-      actionType: "add_h1",
-      titleText: "Add a clear H1",
-      summary: "This page has no H1 heading.",
-      whyItMatters: "A primary H1 helps users and search engines understand page focus.",
-      technicalReason: "No H1 element was found on the page.",
-      expectedImpactRange: "Medium",
-      steps: [
-        "Add one primary H1 to the page.",
-        "Align it with the page's main intent.",
-        "Avoid creating multiple competing H1s."
-      ],
-      score: isCommercial ? 82 : 74,
-    });
-  } else if (h1Count > 1) {
+  actions.push(...buildHeadingActions({
+    headingFindings: headingFindings || headingFindingsFromH1Count(hasH1 ? h1Count : 0),
+    pageType,
+  }));
+
+  // Where a non-self canonical points is checked after the crawl (verifyCanonicalTargets)
+  if (canonicalIssues.includes("multiple_canonicals")) {
     pushAction({
-      actionType: "reduce_multiple_h1s",
-      titleText: "Reduce multiple H1 tags",
-      summary: "This page has multiple H1 tags.",
-      whyItMatters: "Multiple H1s can weaken heading hierarchy and topical clarity.",
-      technicalReason: `${h1Count} H1 tags were found.`,
-      expectedImpactRange: "Low-Medium",
+      actionType: "fix_multiple_canonicals",
+      titleText: "Keep a single canonical declaration",
+      summary: "This page declares more than one canonical URL.",
+      whyItMatters: "Search engines ignore conflicting canonicals, so the preferred URL signal is lost.",
+      technicalReason: `Canonical declarations found: ${canonicalTags.map((tag) => `${tag.href || "(empty)"} [${tag.source}]`).join(", ")}.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
       steps: [
-        "Keep one primary H1 on the page.",
-        "Convert secondary headings into H2 or H3."
+        "Find every template, plugin or header rule that outputs a canonical.",
+        "Keep one canonical that points at the preferred URL.",
+        "Make sure the Link header and the <link> tag agree if both are used."
       ],
-      score: 56,
+      score: isCommercial ? 74 : 60,
     });
   }
 
-  if (!canonicalOk) {
+  if (canonicalIssues.includes("canonical_in_body")) {
     pushAction({
-      actionType: "review_canonical",
-      titleText: "Review canonical tag",
-      summary: "Canonical setup may be missing or not aligned to this page.",
-      whyItMatters: "Incorrect canonicals can split ranking signals or suppress the intended URL.",
-      technicalReason: "The page canonical is missing or does not match the crawled final URL.",
+      actionType: "move_canonical_to_head",
+      titleText: "Move the canonical tag into <head>",
+      summary: "A canonical tag on this page sits inside <body>.",
+      whyItMatters: "Search engines ignore canonical tags outside <head>, so this one has no effect.",
+      technicalReason: "A <link rel=\"canonical\"> was found in the body, often pushed there by invalid markup earlier in <head>.",
       expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
       steps: [
-        "Check whether the page should self-canonicalize.",
-        "Fix the canonical if it points to the wrong URL.",
-        "Consolidate duplicate variants to the preferred page."
+        "Output the canonical tag inside <head>.",
+        "Check <head> for elements that close it early, such as <div> or <img> tags.",
+        "Re-test the page source after the fix."
       ],
-      score: isCommercial ? 64 : 48,
+      score: isCommercial ? 70 : 56,
     });
   }
 
-  if (wordCount < thinThreshold && ["homepage", "service", "pricing", "product", "category", "article", "general", "feature", "case_study"].includes(pageType)) {
+  if (canonicalIssues.includes("cross_domain_canonical")) {
     pushAction({
-      actionType: "expand_content",
-      titleText: "Expand thin content",
-      summary: "The page content looks thin for its intent.",
-      whyItMatters: "Thin pages often struggle to rank or convert because they do not fully satisfy user intent.",
-      technicalReason: `The page appears to contain about ${wordCount} words, which is below the expected depth for this page type.`,
-      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      actionType: "review_cross_domain_canonical",
+      titleText: "Confirm the cross-domain canonical",
+      summary: "This page canonicalises to a URL on another domain.",
+      whyItMatters: "A cross-domain canonical hands this page's ranking signals to the other site and usually drops this URL from search.",
+      technicalReason: `The canonical points to ${canonicalTarget}.`,
+      expectedImpactRange: isCommercial ? "High" : "Medium",
       steps: [
-        "Add deeper and more useful information related to the page topic.",
-        "Answer common user questions directly.",
-        "Use stronger sections and supporting headings to improve topical depth."
+        "Confirm the content really is syndicated from, or moved to, the other domain.",
+        "Point the canonical at this page if it should rank on its own.",
+        "Check staging or old domains are not hard-coded in templates."
       ],
-      score: isCommercial ? 78 : pageType === "article" ? 74 : 62,
+      score: isCommercial ? 80 : 64,
     });
   }
 
+  actions.push(...buildThinContentActions({ wordCount, pageType }));
+
   if (pageType === "homepage" && pageOpportunityScore >= 55) {
     pushAction({
       actionType: "strengthen_homepage_seo_hub",
@@ -1434,23 +1890,6 @@ function buildActions({
     });
   }
 
-  if (pageType === "article" && wordCount < thinThreshold) {
-    pushAction({
-      actionType: "improve_article_depth",
-      titleText: "Improve article depth and completeness",
-      summary: "This article likely needs more depth to compete for informational queries.",
-      whyItMatters: "Informational pages often need stronger coverage to rank for broader and more competitive topics.",
-      technicalReason: "The article appears thin relative to the expected threshold for informational content.",
-      expectedImpactRange: "Medium",
-      steps: [
-        "Expand the article to cover subtopics, definitions, FAQs, or examples.",
-        "Add stronger section structure and semantic breadth.",
-        "Make sure the article fully satisfies search intent."
-      ],
-      score: 72,
-    });
-  }
-
   if (pageType === "article" && internalLinkDepth >= 2) {
     pushAction({
       actionType: "improve_internal_linking_to_article",
@@ -1502,23 +1941,47 @@ function buildActions({
     });
   }
 
-  if (visibilityScore < 55 && structuralScore >= 70 && internalLinkDepth >= 2) {
+  if (jsDependencyReasons.length > 0) {
     pushAction({
-      actionType: "improve_internal_prominence",
-      titleText: "Improve internal prominence",
-      summary: "This page looks reasonably well built, but may be too weakly connected internally.",
-      whyItMatters: "Pages can remain underexposed when they are structurally decent but buried in the site.",
-      technicalReason: "Structural quality is acceptable, but visibility readiness is still being held back and the page sits relatively deep.",
-      expectedImpactRange: "Medium",
+      actionType: "serve_content_without_js",
+      titleText: "Serve key content without JavaScript",
+      summary: "Important content on this page only appears after JavaScript runs.",
+      whyItMatters: "Search engines render JavaScript late and not always completely, so JS-only content can be indexed slowly or missed.",
+      technicalReason: `Compared with the rendered page, the server HTML is missing content: ${jsDependencyReasons.join("; ")}.`,
+      expectedImpactRange: isCommercial ? "High" : "Medium",
+      steps: [
+        "Render the title, H1 and main copy on the server (SSR or static generation).",
+        "Make sure the initial HTML response contains the primary content and links.",
+        "Re-test the page with JavaScript disabled."
+      ],
+      score: isCommercial ? 86 : 70,
+    });
+  }
+
+  if (profileDifferences.length && compareProfile) {
+    const critical = profileDifferences.some((d) => ["status", "canonical", "robots_meta"].includes(d.field));
+    const primaryLabel = FETCH_PROFILES[fetchProfile].label;
+    const compareLabel = FETCH_PROFILES[compareProfile].label;
+    pushAction({
+      actionType: "review_ua_dependent_content",
+      titleText: "Possible cloaking / UA-dependent content",
+      summary: `${primaryLabel} and ${compareLabel} received different versions of this page.`,
+      whyItMatters: "Search engines expect to see what visitors see. Content that changes by user agent can look like cloaking and confuse indexing.",
+      technicalReason: `${primaryLabel} vs ${compareLabel} — ${describeProfileDifferences(profileDifferences)}.`,
+      expectedImpactRange: critical ? "High" : "Medium",
       steps: [
-        "Increase internal links from stronger site sections.",
-        "Link to this page from relevant parent or hub pages.",
-        "Make sure anchor text reflects the page topic clearly."
+        "Check server, CDN and A/B testing rules that branch on the User-Agent header.",
+        "Serve crawlers the same status, canonical, robots directives and main content as visitors.",
+        "Firewalls often block unverified Googlebot traffic; confirm with Search Console URL Inspection before changing anything."
       ],
-      score: 66,
+      score: critical ? 90 : 72,
     });
   }
 
+  actions.push(...buildSchemaActions({ schemaFindings, pageType }));
+  actions.push(...buildImageActions({ imageAudit, pageType }));
+  actions.push(...buildSocialActions({ socialFindings, pageType }));
+
   if (loadMs && loadMs > 5000) {
     pushAction({
       actionType: "improve_page_speed",
@@ -1536,7 +1999,7 @@ function buildActions({
     });
   }
 
-  if (pageOpportunityScore >= 80 && ["homepage", "pricing", "conversion", "service", "product"].includes(pageType)) {
+  if (pageOpportunityScore >= 80 && isCommercialPageType(pageType)) {
     pushAction({
       actionType: "make_this_an_early_seo_win",
       titleText: "Make this an early SEO win page",
@@ -1566,6 +2029,7 @@ function buildSnapshotSummary(summaryState) {
   const avgRevenue = avg(summaryState.score_lists.revenue);
   const avgPaidRisk = avg(summaryState.score_lists.paid_risk);
   const avgOpportunity = avg(summaryState.score_lists.opportunity);
+  const avgImage = summaryState.score_lists.image?.length ? avg(summaryState.score_lists.image) : null;
 
   const topIssues = [
     { key: "missing_meta_descriptions", label: "Missing meta descriptions", count: issues.missing_meta_descriptions || 0 },
@@ -1599,11 +2063,40 @@ function buildSnapshotSummary(summaryState) {
       revenue: avgRevenue,
       paid_risk: avgPaidRisk,
       opportunity: avgOpportunity,
+      image: avgImage,
     },
     issues,
     top_issues: topIssues,
     top_opportunity_pages: (summaryState.top_opportunity_pages || []).slice(0, 5),
     focus_areas: focusAreas.slice(0, 4),
+    robots: summaryState.robots,
+    sitemap: summaryState.sitemap,
+    redirects: summaryState.redirects,
+    incremental: summaryState.incremental,
+    profiles: summaryState.profiles,
+    scope: summaryState.scope,
+    crawl_traps: summaryState.crawl_traps,
+    canonicals: summaryState.canonicals,
+    hreflang: summaryState.hreflang,
+    duplicates: summaryState.duplicates,
+    duplicate_metadata: summaryState.duplicate_metadata,
+    link_graph: summaryState.link_graph,
+    link_coverage: summaryState.link_coverage,
+    broken_links: summaryState.broken_links,
+    external_links: summaryState.external_links,
+    soft_404_urls: summaryState.soft_404_urls,
+    main_content: {
+      pages: summaryState.main_content.pages,
+      by_method: summaryState.main_content.by_method,
+      avg_boilerplate_ratio: summaryState.main_content.pages
+        ? Math.round((summaryState.main_content.boilerplate_ratio_total / summaryState.main_content.pages) * 1000) / 1000
+        : null,
+      template_blocks: summaryState.main_content.template_blocks,
+      pages_with_template_blocks: summaryState.main_content.pages_with_template_blocks,
+    },
+    headings: summaryState.headings,
+    social: summaryState.social,
+    images: summaryState.images,
   };
 }
 
@@ -1636,17 +2129,74 @@ function deleteCookieJar(jobId) {
   jobCookieJars.delete(jobId);
 }
 
-function buildBrowserHeaders(url, referer) {
+// Fetch profiles selectable per job via scc_crawl_jobs.fetch_profile.
+// Crawler profiles send the lean headers real bots send, without client hints,
+// and obey the robots.txt group for their robotsToken; browser profiles (null)
+// obey the group for our own ROBOTS_USER_AGENT.
+const FETCH_PROFILES = {
+  desktop_chrome: {
+    label: "Desktop Chrome",
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    crawler: false,
+    mobile: false,
+    platform: '"Windows"',
+    robotsToken: null,
+  },
+  mobile_chrome: {
+    label: "Mobile Chrome",
+    userAgent: "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36",
+    crawler: false,
+    mobile: true,
+    platform: '"Android"',
+    robotsToken: null,
+  },
+  googlebot_smartphone: {
+    label: "Googlebot Smartphone",
+    userAgent: "Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.6367.207 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+    crawler: true,
+    mobile: true,
+    robotsToken: "googlebot",
+  },
+  bingbot: {
+    label: "Bingbot",
+    userAgent: "Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)",
+    crawler: true,
+    mobile: false,
+    robotsToken: "bingbot",
+  },
+};
+
+const DEFAULT_FETCH_PROFILE = "desktop_chrome";
+
+function resolveFetchProfile(name) {
+  if (!name) return DEFAULT_FETCH_PROFILE;
+  if (FETCH_PROFILES[name]) return name;
+  console.warn(`[fetch profile] unknown profile "${name}", using ${DEFAULT_FETCH_PROFILE}`);
+  return DEFAULT_FETCH_PROFILE;
+}
+
+function buildBrowserHeaders(url, referer, profileName = DEFAULT_FETCH_PROFILE) {
+  const profile = FETCH_PROFILES[profileName] || FETCH_PROFILES[DEFAULT_FETCH_PROFILE];
+
+  if (profile.crawler) {
+    return {
+      "User-Agent": profile.userAgent,
+      "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+      "Accept-Encoding": "gzip, deflate, br",
+      "Connection": "keep-alive",
+    };
+  }
+
   const origin = (() => { try { const u = new URL(url); return `${u.protocol}//${u.host}`; } catch { return ""; } })();
   return {
-    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    "User-Agent": profile.userAgent,
     "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
     "Accept-Language": "en-US,en;q=0.9",
     "Accept-Encoding": "gzip, deflate, br",
     "Cache-Control": "max-age=0",
     "Sec-Ch-Ua": '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
-    "Sec-Ch-Ua-Mobile": "?0",
-    "Sec-Ch-Ua-Platform": '"Windows"',
+    "Sec-Ch-Ua-Mobile": profile.mobile ? "?1" : "?0",
+    "Sec-Ch-Ua-Platform": profile.platform,
     "Sec-Fetch-Dest": "document",
     "Sec-Fetch-Mode": "navigate",
     "Sec-Fetch-Site": referer ? "same-origin" : "none",
@@ -1658,398 +2208,5771 @@ function buildBrowserHeaders(url, referer) {
   };
 }
 
-async function fetchHtml(url, { jobId = null, referer = null } = {}) {
+function redirectError(message, redirectChain, redirectLoop) {
+  const err = new Error(message);
+  err.redirectChain = redirectChain;
+  err.redirectLoop = redirectLoop;
+  return err;
+}
+
+async function fetchHtml(url, { jobId = null, referer = null, conditional = null, profile = DEFAULT_FETCH_PROFILE } = {}) {
   const startMs = Date.now();
 
   const jar = jobId ? getCookieJar(jobId) : null;
 
-  // Read cookies for this URL from the jar
-  const cookieHeader = jar ? await jar.getCookieString(url).catch(() => "") : "";
+  // Redirects are followed by hand so every hop can be recorded
+  const redirectChain = [];
+  const visited = new Set([url]);
+  let currentUrl = url;
+  let response;
 
-  const headers = {
-    ...buildBrowserHeaders(url, referer),
-    ...(cookieHeader ? { "Cookie": cookieHeader } : {}),
-  };
+  while (true) {
+    // Read cookies for this URL from the jar
+    const cookieHeader = jar ? await jar.getCookieString(currentUrl).catch(() => "") : "";
 
-  const response = await axios.get(url, {
-    timeout: REQUEST_TIMEOUT_MS,
-    maxRedirects: MAX_REDIRECTS,
-    headers,
-    responseType: "text",
-    validateStatus: () => true,
-    decompress: true,
-  });
+    const headers = {
+      ...buildBrowserHeaders(currentUrl, referer, profile),
+      ...(cookieHeader ? { "Cookie": cookieHeader } : {}),
+    };
 
-  const loadMs = Date.now() - startMs;
+    // Validators belong to the URL that served them, so only send them there
+    if (conditional && conditional.url === currentUrl) {
+      if (conditional.etag) headers["If-None-Match"] = conditional.etag;
+      if (conditional.lastModified) headers["If-Modified-Since"] = conditional.lastModified;
+    }
+
+    response = await axios.get(currentUrl, {
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      headers,
+      responseType: "text",
+      validateStatus: () => true,
+      decompress: true,
+    });
+
+    // Persist Set-Cookie headers into the jar
+    if (jar) {
+      const setCookies = response.headers["set-cookie"] || [];
+      const list = Array.isArray(setCookies) ? setCookies : [setCookies];
+      for (const raw of list) {
+        await jar.setCookie(raw, currentUrl).catch(() => {});
+      }
+    }
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) break;
 
-  // Persist Set-Cookie headers into the jar
-  if (jar) {
-    const setCookies = response.headers["set-cookie"] || [];
-    const list = Array.isArray(setCookies) ? setCookies : [setCookies];
-    for (const raw of list) {
-      await jar.setCookie(raw, url).catch(() => {});
+    redirectChain.push({ url: currentUrl, status: response.status, location });
+
+    const nextUrl = safeUrl(location, currentUrl)?.toString();
+    if (!nextUrl) throw redirectError(`Invalid redirect Location: ${location}`, redirectChain, false);
+    if (visited.has(nextUrl)) throw redirectError(`Redirect loop detected at ${nextUrl}`, redirectChain, true);
+    if (redirectChain.length > MAX_REDIRECTS) {
+      throw redirectError(`More than ${MAX_REDIRECTS} redirects`, redirectChain, false);
     }
+
+    visited.add(nextUrl);
+    currentUrl = nextUrl;
   }
 
-  const finalUrl =
-    response.request?.res?.responseUrl ||
-    response.request?.responseURL ||
-    url;
+  const loadMs = Date.now() - startMs;
 
   return {
-    finalUrl,
+    finalUrl: currentUrl,
     html: typeof response.data === "string" ? response.data : "",
     status: response.status,
     contentType: response.headers["content-type"] || "",
     loadMs,
+    redirectChain,
+    etag: response.headers.etag || null,
+    lastModified: response.headers["last-modified"] || null,
+    headers: { ...response.headers },
   };
 }
 
-// ─── HTML extraction ─────────────────────────────────────────────────────────
+// ─── Crawl politeness ────────────────────────────────────────────────────────
 
-function extractSeoData(html, url, statusCode, contentType, loadMs, depth, seedUrl) {
-  const $ = cheerio.load(html || "");
+/**
+ * Per-host request spacing shared by all concurrent fetches of a job. Each
+ * caller reserves the next free slot for its host and sleeps until then.
+ */
+function createHostThrottle(gapMs) {
+  const nextSlotByHost = new Map();
 
-  const title = cleanText($("title").first().text() || "");
-  const metaDescription = cleanText(
-    $('meta[name="description"]').attr("content") || ""
-  );
-  const canonicalUrl = $('link[rel="canonical"]').attr("href") || null;
+  return async function waitForHostSlot(urlString) {
+    if (gapMs <= 0) return;
 
-  const h1Elements = $("h1");
-  const h1Count = h1Elements.length;
-  const h1Text = cleanText(h1Elements.first().text() || "");
+    const host = stripWww(safeUrl(urlString)?.hostname || "");
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+    nextSlotByHost.set(host, slot + gapMs);
 
-  const robotsMeta = $('meta[name="robots"]').attr("content") || null;
-  const noindex = robotsMeta ? /noindex/i.test(robotsMeta) : false;
-  const indexable = statusCode >= 200 && statusCode < 300 && !noindex;
+    if (slot > now) await sleep(slot - now);
+  };
+}
 
-  const schemaTypes = detectSchemaTypes($);
+// ─── Headless rendering ──────────────────────────────────────────────────────
 
-  // Remove script/style/noscript before extracting text so NL API gets clean prose
-  const $body = $("body").clone();
-  $body.find("script, style, noscript, [aria-hidden='true']").remove();
-  const bodyText = cleanText($body.text() || "");
-  const wordCount = countWords(bodyText);
-  const locationSignals = extractLocationSignals(bodyText);
-  const bodyTextSnippet = bodyText.slice(0, 5000);
+// Chromium installed on the host — puppeteer-core never downloads its own
+const CHROMIUM_PATH = process.env.CHROMIUM_PATH || "/usr/bin/chromium";
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS || 30000);
 
-  const pageType = classifyPageTypeFromSignals({
-    url,
-    title,
-    h1Text,
-    bodyText: bodyText.slice(0, 2000),
-    schemaTypes,
-  });
+// One browser per worker, launched on the first render_js page
+let browserPromise = null;
 
-  // Collect unique internal links
-  const internalLinks = [];
-  const seenLinks = new Set();
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = puppeteer
+      .launch({
+        executablePath: CHROMIUM_PATH,
+        headless: true,
+        args: ["--no-sandbox", "--disable-dev-shm-usage", "--disable-gpu"],
+      })
+      .catch((err) => {
+        browserPromise = null;
+        throw err;
+      });
+  }
+  return browserPromise;
+}
 
-  $("a[href]").each((_, el) => {
-    const href = $(el).attr("href") || "";
-    if (isBadHref(href)) return;
-    const resolved = safeUrl(href, url);
-    if (!resolved) return;
-    if (resolved.protocol !== "http:" && resolved.protocol !== "https:") return;
-    if (!sameHost(resolved.toString(), seedUrl)) return;
-    const normalized = normalizeUrl(resolved.toString());
-    if (!normalized || seenLinks.has(normalized)) return;
-    seenLinks.add(normalized);
-    internalLinks.push({
-      url: normalized,
-      anchorText: cleanText($(el).text() || ""),
+async function closeBrowser() {
+  if (!browserPromise) return;
+  const pending = browserPromise;
+  browserPromise = null;
+  try {
+    const browser = await pending;
+    await browser.close();
+  } catch (err) {
+    console.warn("[browser close warning]", err.message);
+  }
+}
+
+/**
+ * Same return shape as fetchHtml, but `html` is the DOM after scripts ran.
+ * `rawHtml` is the server response so callers can compare the two; null when
+ * Chromium cannot return the body (e.g. after a redirected navigation).
+ */
+async function fetchRendered(url, { jobId = null, referer = null, profile = DEFAULT_FETCH_PROFILE } = {}) {
+  const startMs = Date.now();
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  const jar = jobId ? getCookieJar(jobId) : null;
+
+  try {
+    const headers = buildBrowserHeaders(url, referer, profile);
+    await page.setUserAgent(headers["User-Agent"]);
+    await page.setExtraHTTPHeaders({
+      ...(headers["Accept-Language"] ? { "Accept-Language": headers["Accept-Language"] } : {}),
+      ...(referer ? { "Referer": referer } : {}),
     });
-  });
+    if (FETCH_PROFILES[profile]?.mobile) {
+      await page.setViewport({ width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true });
+    }
 
-  return {
-    title,
-    metaDescription,
-    canonicalUrl,
-    h1Count,
-    h1Text,
-    wordCount,
-    robotsMeta,
-    noindex,
-    indexable,
-    schemaTypes,
-    pageType,
-    internalLinks,
-    statusCode,
-    contentType,
-    loadMs,
-    locationSignals,
-    bodyTextSnippet,
-  };
+    // Share the job's cookie jar with the browser (e.g. cf_clearance)
+    if (jar) {
+      const cookies = await jar.getCookies(url).catch(() => []);
+      if (cookies.length) {
+        await page.setCookie(...cookies.map((c) => ({ name: c.key, value: c.value, url })));
+      }
+    }
+
+    const response = await page.goto(url, {
+      waitUntil: "networkidle2",
+      timeout: RENDER_TIMEOUT_MS,
+    });
+    if (!response) throw new Error("Headless browser returned no response");
+
+    const html = await page.content();
+    const rawHtml = await response.text().catch(() => null);
+    const finalUrl = page.url() || url;
+
+    const redirectChain = response.request().redirectChain().map((req) => ({
+      url: req.url(),
+      status: req.response()?.status() ?? null,
+      location: req.response()?.headers().location || null,
+    }));
+
+    if (jar) {
+      for (const c of await page.cookies()) {
+        await jar
+          .setCookie(`${c.name}=${c.value}; Domain=${c.domain}; Path=${c.path || "/"}`, finalUrl)
+          .catch(() => {});
+      }
+    }
+
+    return {
+      finalUrl,
+      html,
+      rawHtml,
+      status: response.status(),
+      contentType: response.headers()["content-type"] || "",
+      loadMs: Date.now() - startMs,
+      redirectChain,
+      headers: response.headers(),
+    };
+  } finally {
+    await page.close().catch(() => {});
+  }
 }
 
-// ─── Canonical validation ────────────────────────────────────────────────────
+/**
+ * Flags pages whose title, H1 or main copy only exist after JavaScript runs.
+ */
+function compareRawAndRendered(raw, rendered) {
+  const reasons = [];
 
-function evaluateCanonicalOk(finalUrl, canonicalUrl) {
-  // No canonical tag is not inherently wrong
-  if (!canonicalUrl) return true;
+  if (!raw.title && rendered.title) reasons.push("title is only set by JavaScript");
+  if (!raw.h1Text && rendered.h1Text) reasons.push("H1 is only rendered by JavaScript");
+  if (rendered.wordCount >= 50 && raw.wordCount < rendered.wordCount * 0.5) {
+    reasons.push(`only ${raw.wordCount} of ${rendered.wordCount} words are in the server HTML`);
+  }
 
-  const normalFinal = normalizeUrl(finalUrl) || finalUrl;
-  const normalCanonical = normalizeUrl(canonicalUrl) || canonicalUrl;
-  return normalFinal === normalCanonical;
+  return { jsDependent: reasons.length > 0, reasons };
 }
 
-// ─── Database helpers ────────────────────────────────────────────────────────
+// ─── UA-dependent content ────────────────────────────────────────────────────
 
-async function getOrCreatePage({ siteId, url, pageType }) {
-  // Try existing first
-  const { data: existing } = await supabase
-    .from("scc_pages")
-    .select("id")
-    .eq("site_id", siteId)
-    .eq("url", url)
-    .maybeSingle();
+// Dual-fetch mode re-fetches these page types with a second profile
+const DUAL_FETCH_PAGE_TYPES = ["homepage", "pricing", "conversion", "service", "product"];
 
-  if (existing?.id) {
-    await supabase
-      .from("scc_pages")
-      .update({ page_type: pageType, last_seen_at: nowIso() })
-      .eq("id", existing.id);
-    return existing.id;
-  }
+// Compare against a browser when crawling as a bot, and against Googlebot otherwise
+function resolveCompareProfile(job, fetchProfile) {
+  if (!job.dual_fetch) return null;
+  const requested = job.compare_profile ? resolveFetchProfile(job.compare_profile) : null;
+  const fallback = FETCH_PROFILES[fetchProfile].crawler ? "desktop_chrome" : "googlebot_smartphone";
+  const compareProfile = requested || fallback;
+  return compareProfile === fetchProfile ? fallback : compareProfile;
+}
 
-  const { data, error } = await supabase
-    .from("scc_pages")
-    .insert({
-      site_id: siteId,
-      url,
-      page_type: pageType,
-      first_seen_at: nowIso(),
-      last_seen_at: nowIso(),
-    })
-    .select("id")
-    .single();
+function differsByRatio(a, b, minDelta, minRatio) {
+  const delta = Math.abs(a - b);
+  return delta >= minDelta && delta / Math.max(a, b, 1) >= minRatio;
+}
 
-  if (error) throw new Error(`getOrCreatePage failed: ${error.message}`);
-  return data.id;
+/**
+ * Diff the SEO-relevant signals two profiles received for the same URL.
+ * Small word/link count drift (ads, rotating blocks) is ignored.
+ */
+function compareProfileFetches(primary, secondary) {
+  const differences = [];
+  const add = (field, a, b) => differences.push({ field, primary: a, secondary: b });
+  const norm = (value) => cleanText(value || "").toLowerCase();
+
+  if (primary.statusCode !== secondary.statusCode) add("status", primary.statusCode, secondary.statusCode);
+  if (norm(primary.title) !== norm(secondary.title)) add("title", primary.title, secondary.title);
+  if (norm(primary.h1Text) !== norm(secondary.h1Text)) add("h1", primary.h1Text, secondary.h1Text);
+  if ((primary.canonicalUrl || "").trim() !== (secondary.canonicalUrl || "").trim()) {
+    add("canonical", primary.canonicalUrl, secondary.canonicalUrl);
+  }
+  if (norm(primary.robotsMeta).replace(/\s+/g, "") !== norm(secondary.robotsMeta).replace(/\s+/g, "")) {
+    add("robots_meta", primary.robotsMeta, secondary.robotsMeta);
+  }
+  if (differsByRatio(primary.wordCount, secondary.wordCount, 50, 0.3)) {
+    add("word_count", primary.wordCount, secondary.wordCount);
+  }
+  const primaryLinks = primary.internalLinks.length;
+  const secondaryLinks = secondary.internalLinks.length;
+  if (differsByRatio(primaryLinks, secondaryLinks, 5, 0.3)) add("link_count", primaryLinks, secondaryLinks);
+
+  return differences;
 }
 
-async function upsertPageSnapshotCrawl({ snapshotId, pageId, crawlRow }) {
-  const { error } = await supabase
-    .from("scc_page_snapshot_crawl")
-    .upsert(
-      { snapshot_id: snapshotId, page_id: pageId, ...crawlRow },
-      { onConflict: "snapshot_id,page_id" }
+async function fetchProfileComparison({ url, primary, profile, renderJs, waitForHostSlot, depth, scope }) {
+  try {
+    if (waitForHostSlot) await waitForHostSlot(url);
+    // No cookie jar: crawlers do not carry the session a browser visit builds up
+    const fetched = renderJs
+      ? await fetchRendered(url, { profile })
+      : await fetchHtml(url, { profile });
+    const effectiveUrl = normalizeUrl(fetched.finalUrl || url) || url;
+    const secondary = extractSeoData(
+      fetched.contentType.includes("text/html") ? fetched.html : "",
+      effectiveUrl,
+      fetched.status,
+      fetched.contentType,
+      fetched.loadMs,
+      depth,
+      scope,
+      fetched.headers
     );
-
-  if (error) {
-    console.error(`[upsertPageSnapshotCrawl] page=${pageId}`, error.message);
+    return compareProfileFetches(primary, secondary);
+  } catch (err) {
+    console.warn(`[profile compare] ${url} as ${profile} failed: ${err.message}`);
+    return [];
   }
 }
 
-async function upsertPageSnapshotMetrics({ snapshotId, pageId, metricsRow }) {
-  const { error } = await supabase
-    .from("scc_page_snapshot_metrics")
-    .upsert(
-      { snapshot_id: snapshotId, page_id: pageId, ...metricsRow },
-      { onConflict: "snapshot_id,page_id" }
-    );
+function describeProfileDifferences(differences) {
+  return differences
+    .map((d) => `${d.field.replace("_", " ")}: "${d.primary ?? ""}" vs "${d.secondary ?? ""}"`)
+    .join("; ");
+}
 
-  if (error) {
-    console.error(`[upsertPageSnapshotMetrics] page=${pageId}`, error.message);
+// ─── Soft 404 detection ──────────────────────────────────────────────────────
+
+const SOFT_404_MAX_WORDS = 80;
+const SOFT_404_TEMPLATE_SIMILARITY = 0.8;
+const SOFT_404_PHRASES = [
+  /\b404\b/i,
+  /\b(page|file|url|product|article|post)s?\s+(was\s+)?not\s+found\b/i,
+  /^\s*not\s+found\b/i,
+  /\bno\s+(search\s+)?results?\s+(were\s+)?found\b/i,
+  /\bno\s+results\b/i,
+  /\b(page|url)\s+(does\s+not|doesn['’]t)\s+exist\b/i,
+  /\b(page|product)\s+(is\s+)?no\s+longer\s+available\b/i,
+  /\bnothing\s+(was\s+)?found\b/i,
+  /\bcan(no|['’])t\s+(be\s+)?found\b/i,
+  /\bwe\s+couldn['’]t\s+find\b/i,
+];
+
+// jobId → Map<origin, Promise<template|null>>
+const jobSoft404Templates = new Map();
+
+/**
+ * Fetch a random URL that cannot exist on the origin and keep what the site
+ * serves for it. Probes that redirect (often to the homepage) give no usable
+ * template, since every page on the redirect target would match it.
+ */
+async function fetchSoft404Template(origin, { jobId, fetchProfile, renderJs, waitForHostSlot }) {
+  const probeUrl = `${origin}/${randomBytes(6).toString("hex")}-${randomBytes(4).toString("hex")}`;
+
+  try {
+    if (waitForHostSlot) await waitForHostSlot(probeUrl);
+    const fetched = renderJs
+      ? await fetchRendered(probeUrl, { jobId, profile: fetchProfile })
+      : await fetchHtml(probeUrl, { jobId, profile: fetchProfile });
+    const finalUrl = normalizeUrl(fetched.finalUrl) || probeUrl;
+    const $ = cheerio.load(fetched.contentType.includes("text/html") ? fetched.html || "" : "");
+    const $body = $("body").clone();
+    $body.find("script, style, noscript, [aria-hidden='true']").remove();
+    // Main content only, like the pages it is compared with, so shared site chrome cannot make pages match
+    const fingerprint = computeContentFingerprint(extractMainContent($, $body).text, { minWords: SHINGLE_SIZE });
+
+    const template = {
+      probe_url: probeUrl,
+      status: fetched.status,
+      redirected: finalUrl !== normalizeUrl(probeUrl),
+      final_url: finalUrl,
+      title: normalizeMetadataValue($("title").first().text()),
+      h1: normalizeMetadataValue($("h1").first().text()),
+      word_count: fingerprint?.wordCount || 0,
+      minhash: fingerprint?.minhash || null,
+    };
+    console.log(`[soft404] probe ${probeUrl} -> ${template.status}${template.redirected ? ` redirected to ${finalUrl}` : ""}`);
+    return template;
+  } catch (err) {
+    console.warn(`[soft404] probe failed for ${origin}: ${err.message}`);
+    return null;
   }
 }
 
-async function replaceActions({ snapshotId, pageId, actions }) {
-  // Clear previous actions for this page in this snapshot
-  const { error: deleteError } = await supabase
-    .from("scc_actions")
-    .delete()
-    .eq("snapshot_id", snapshotId)
-    .eq("page_id", pageId);
+function getSoft404Template(jobId, urlString, options) {
+  const url = safeUrl(urlString);
+  if (!url) return Promise.resolve(null);
 
-  if (deleteError) {
-    console.error(`[replaceActions delete] page=${pageId}`, deleteError.message);
-    return;
-  }
+  if (!jobSoft404Templates.has(jobId)) jobSoft404Templates.set(jobId, new Map());
+  const byOrigin = jobSoft404Templates.get(jobId);
 
-  if (!actions.length) return;
+  // Cache the promise so concurrent pages on one origin share a single probe
+  if (!byOrigin.has(url.origin)) byOrigin.set(url.origin, fetchSoft404Template(url.origin, { jobId, ...options }));
+  return byOrigin.get(url.origin);
+}
 
-  const rows = actions.map((action) => ({
-    snapshot_id:           snapshotId,
-    page_id:               pageId,
-    action_type:           action.action_type,
-    title:                 action.title,
-    summary:               action.summary,
-    why_it_matters:        action.why_it_matters,
-    technical_reason:      action.technical_reason,
-    expected_impact_range: action.expected_impact_range,
-    steps:                 action.steps,
-    severity:              action.severity,
-    priority:              action.priority,
-    status:                "pending",
-  }));
+function deleteSoft404Templates(jobId) {
+  jobSoft404Templates.delete(jobId);
+}
 
-  const { error: insertError } = await supabase
-    .from("scc_actions")
-    .insert(rows);
+/**
+ * A 2xx page is a soft 404 when it matches the site's error template, or when
+ * its title/H1 reads like an error and the page has almost no content. Only
+ * pages with little main content are compared with the template.
+ */
+function detectSoft404({ title, h1Text, wordCount, textMinhash }, template) {
+  const reasons = [];
+  const usableTemplate = template && !template.redirected ? template : null;
+
+  if (usableTemplate && wordCount < SOFT_404_MAX_WORDS * 2) {
+    const similarity = usableTemplate.minhash && textMinhash ? minhashSimilarity(usableTemplate.minhash, textMinhash) : 0;
+    if (similarity >= SOFT_404_TEMPLATE_SIMILARITY) {
+      reasons.push(`content is ${Math.round(similarity * 100)}% similar to the page served for a nonexistent URL`);
+    } else if (usableTemplate.title && normalizeMetadataValue(title) === usableTemplate.title) {
+      reasons.push(`title matches the error page title "${usableTemplate.title}"`);
+    }
+  }
 
-  if (insertError) {
-    console.error(`[replaceActions insert] page=${pageId}`, insertError.message);
+  const phraseSource = [title, h1Text].find((text) => text && SOFT_404_PHRASES.some((re) => re.test(text)));
+  if (phraseSource && (wordCount < SOFT_404_MAX_WORDS || reasons.length)) {
+    reasons.push(`title/H1 "${phraseSource}" reads like an error page with only ${wordCount} words`);
   }
+
+  return { soft404: reasons.length > 0, reasons };
 }
 
-async function generateSiteWideActions(snapshotId, summaryState) {
-  const { pages_crawled, page_type_counts, issues, score_lists } = summaryState;
-  if (!pages_crawled || pages_crawled === 0) return;
+// ─── robots.txt ──────────────────────────────────────────────────────────────
 
-  const actions = [];
-  const avgStructural = avg(score_lists.structural);
-  const pct = (n) => Math.round((n / pages_crawled) * 100);
+// Product token matched against robots.txt User-agent lines; groups for other
+// bots are ignored and "*" is used when no group names us
+const ROBOTS_USER_AGENT = (process.env.ROBOTS_USER_AGENT || "mqseobot").toLowerCase();
+const ROBOTS_BLOCKED_URLS_MAX = 500;
 
-  if (issues.missing_meta_descriptions > 0) {
-    const p = pct(issues.missing_meta_descriptions);
-    actions.push({
-      action_type: "site_missing_meta_descriptions",
-      title: `${issues.missing_meta_descriptions} of ${pages_crawled} pages missing meta descriptions`,
-      severity: p >= 50 ? "high" : "medium",
-      why_it_matters: "Meta descriptions influence click-through rates from search results. Missing them means Google auto-generates snippets, often poorly.",
-      technical_reason: `${p}% of crawled pages have no meta description tag.`,
-      expected_impact_range: p >= 50 ? "High" : "Medium-High",
-      steps: [
-        "Audit all pages missing meta descriptions.",
-        "Write unique, keyword-rich descriptions of 120–160 characters for each.",
-        "Prioritise your highest-traffic and highest-opportunity pages first.",
-      ],
-    });
+// The robots.txt token a fetch profile answers to
+function getRobotsToken(profileName) {
+  return FETCH_PROFILES[profileName]?.robotsToken || ROBOTS_USER_AGENT;
+}
+
+// One robots.txt per origin per crawl job — fetched once, reused for every URL
+const jobRobotsCache = new Map();
+
+function parseRobotsTxt(text = "") {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let collectingAgents = false;
+
+  for (const rawLine of String(text).split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const sep = line.indexOf(":");
+    if (sep === -1) continue;
+
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    // Sitemap lines are global and do not end a group
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === "user-agent") {
+      // Consecutive User-agent lines share one group
+      if (!current || !collectingAgents) {
+        current = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      collectingAgents = true;
+      continue;
+    }
+
+    collectingAgents = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything, so it never matches anything
+      if (value) current.rules.push({ type: field, path: value });
+    } else if (field === "crawl-delay") {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
   }
 
-  if (issues.missing_h1s > 0) {
-    const p = pct(issues.missing_h1s);
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the rules that apply to a user agent: every group naming the most
+ * specific matching token is merged (as Google does), falling back to "*".
+ */
+function selectRobotsGroup(parsed, userAgent = ROBOTS_USER_AGENT) {
+  const token = (userAgent || "*").toLowerCase();
+  let bestLength = -1;
+  let matched = [];
+
+  for (const group of parsed?.groups || []) {
+    for (const agent of group.userAgents) {
+      let length = -1;
+      if (agent === "*") length = 0;
+      else if (token.startsWith(agent)) length = agent.length;
+
+      if (length > bestLength) {
+        bestLength = length;
+        matched = [group];
+      } else if (length === bestLength && length >= 0 && !matched.includes(group)) {
+        matched.push(group);
+      }
+    }
+  }
+
+  const delays = matched.map((g) => g.crawlDelay).filter((d) => d != null);
+
+  return {
+    rules: matched.flatMap((g) => g.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Longest matching pattern wins; Allow wins a tie. Returns the blocking rule
+ * as it appears in robots.txt so it can be shown to the client.
+ */
+function evaluateRobotsRules(group, urlString) {
+  const url = safeUrl(urlString);
+  if (!url) return { allowed: true, rule: null };
+
+  const target = `${url.pathname}${url.search}`;
+  if (url.pathname === "/robots.txt") return { allowed: true, rule: null };
+
+  let best = null;
+  for (const rule of group?.rules || []) {
+    if (!robotsPatternToRegExp(rule.path).test(target)) continue;
+
+    const specificity = rule.path.length;
+    if (
+      !best ||
+      specificity > best.specificity ||
+      (specificity === best.specificity && rule.type === "allow")
+    ) {
+      best = { ...rule, specificity };
+    }
+  }
+
+  if (!best || best.type === "allow") return { allowed: true, rule: null };
+  return { allowed: false, rule: `Disallow: ${best.path}` };
+}
+
+async function fetchRobotsTxt(origin) {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  try {
+    const response = await axios.get(robotsUrl, {
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: MAX_REDIRECTS,
+      headers: buildBrowserHeaders(robotsUrl, null),
+      responseType: "text",
+      validateStatus: () => true,
+      decompress: true,
+    });
+
+    const status = response.status;
+
+    if (status >= 200 && status < 300) {
+      const parsed = parseRobotsTxt(typeof response.data === "string" ? response.data : "");
+      return { url: robotsUrl, status, error: null, ...parsed };
+    }
+
+    // A server error on robots.txt means "crawl nothing" until it recovers
+    if (status >= 500) {
+      return {
+        url: robotsUrl,
+        status,
+        error: null,
+        groups: [{ userAgents: ["*"], rules: [{ type: "disallow", path: "/" }], crawlDelay: null }],
+        sitemaps: [],
+      };
+    }
+
+    // 4xx (usually 404) means there are no restrictions
+    return { url: robotsUrl, status, error: null, groups: [], sitemaps: [] };
+  } catch (err) {
+    console.warn(`[robots] fetch failed for ${robotsUrl}: ${err.message}`);
+    return { url: robotsUrl, status: null, error: err.message, groups: [], sitemaps: [] };
+  }
+}
+
+function getRobotsTxt(jobId, urlString) {
+  const url = safeUrl(urlString);
+  if (!url) return Promise.resolve(null);
+
+  if (!jobRobotsCache.has(jobId)) jobRobotsCache.set(jobId, new Map());
+  const byOrigin = jobRobotsCache.get(jobId);
+
+  // Cache the promise so concurrent lookups share a single request
+  if (!byOrigin.has(url.origin)) byOrigin.set(url.origin, fetchRobotsTxt(url.origin));
+  return byOrigin.get(url.origin);
+}
+
+function deleteRobotsCache(jobId) {
+  jobRobotsCache.delete(jobId);
+}
+
+async function checkRobotsAllowed(jobId, urlString, userAgent = ROBOTS_USER_AGENT) {
+  const robots = await getRobotsTxt(jobId, urlString);
+  if (!robots) return { allowed: true, rule: null };
+  return evaluateRobotsRules(selectRobotsGroup(robots, userAgent), urlString);
+}
+
+// The list is capped since it is carried in every checkpoint; blocked_count keeps the full total
+function recordRobotsBlocked(summaryState, url, rule) {
+  summaryState.robots.blocked_count += 1;
+  if (summaryState.robots.blocked_urls.length < ROBOTS_BLOCKED_URLS_MAX) summaryState.robots.blocked_urls.push({ url, rule });
+}
+
+// ─── XML sitemaps ────────────────────────────────────────────────────────────
+
+async function fetchSitemapXml(sitemapUrl) {
+  const response = await axios.get(sitemapUrl, {
+    timeout: REQUEST_TIMEOUT_MS,
+    maxRedirects: MAX_REDIRECTS,
+    headers: buildBrowserHeaders(sitemapUrl, null),
+    responseType: "arraybuffer",
+    validateStatus: () => true,
+    decompress: true,
+    maxContentLength: SITEMAP_MAX_BYTES,
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    return { status: response.status, xml: null };
+  }
+
+  // .xml.gz files arrive as gzip bytes rather than Content-Encoding: gzip
+  let body = Buffer.from(response.data || []);
+  if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+    body = gunzipSync(body, { maxOutputLength: SITEMAP_MAX_BYTES });
+  }
+
+  return { status: response.status, xml: body.toString("utf8") };
+}
+
+function parseSitemapXml(xml) {
+  const $ = cheerio.load(xml || "", { xmlMode: true });
+
+  const childSitemaps = [];
+  $("sitemapindex > sitemap > loc").each((_, el) => {
+    const loc = cleanText($(el).text());
+    if (loc) childSitemaps.push(loc);
+  });
+
+  const urls = [];
+  $("urlset > url").each((_, el) => {
+    const loc = cleanText($(el).children("loc").first().text());
+    if (!loc) return;
+    const lastmod = cleanText($(el).children("lastmod").first().text()) || null;
+    const hreflang = $(el)
+      .children()
+      .filter((_, child) => child.name === "xhtml:link" && /alternate/i.test($(child).attr("rel") || ""))
+      .map((_, child) => ({ lang: ($(child).attr("hreflang") || "").trim(), href: ($(child).attr("href") || "").trim() }))
+      .get()
+      .filter((link) => link.lang && link.href);
+    urls.push({ loc, lastmod, hreflang });
+  });
+
+  return { childSitemaps, urls };
+}
+
+/**
+ * Discovers sitemaps from robots.txt Sitemap: lines and the two conventional
+ * locations, following sitemap indexes. Returns a map of normalized page URL
+ * to { lastmod, sitemap } plus a per-file report.
+ */
+async function discoverSitemapUrls({ seedUrl, scope, robots }) {
+  const origin = safeUrl(seedUrl)?.origin;
+  const candidates = [
+    ...(robots?.sitemaps || []),
+    `${origin}/sitemap.xml`,
+    `${origin}/sitemap_index.xml`,
+  ];
+
+  const pending = [...new Set(candidates)].map((url) => ({ url, source: "discovery" }));
+  const visited = new Set();
+  const files = [];
+  const urls = new Map();
+
+  while (pending.length > 0 && visited.size < SITEMAP_MAX_FILES && urls.size < SITEMAP_MAX_URLS) {
+    const { url: sitemapUrl, source } = pending.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    try {
+      const { status, xml } = await fetchSitemapXml(sitemapUrl);
+      if (!xml) {
+        // The conventional locations are guesses, so a 404 there is not a finding
+        if (source !== "discovery" || (robots?.sitemaps || []).includes(sitemapUrl)) {
+          files.push({ url: sitemapUrl, status, type: null, url_count: 0 });
+        }
+        continue;
+      }
+
+      const parsed = parseSitemapXml(xml);
+      const type = parsed.childSitemaps.length > 0 ? "index" : "urlset";
+
+      for (const child of parsed.childSitemaps) {
+        pending.push({ url: child, source: sitemapUrl });
+      }
+
+      let added = 0;
+      for (const entry of parsed.urls) {
+        if (urls.size >= SITEMAP_MAX_URLS) break;
+        const normalized = normalizeScopedUrl(scope, entry.loc);
+        if (!normalized || !evaluateScope(scope, normalized).inScope || !isLikelyHtmlUrl(normalized)) continue;
+        if (urls.has(normalized)) continue;
+
+        const lastmodMs = entry.lastmod ? Date.parse(entry.lastmod) : NaN;
+        urls.set(normalized, {
+          lastmod: Number.isFinite(lastmodMs) ? new Date(lastmodMs).toISOString() : null,
+          sitemap: sitemapUrl,
+          hreflang: entry.hreflang.length ? entry.hreflang : undefined,
+        });
+        added += 1;
+      }
+
+      files.push({ url: sitemapUrl, status, type, url_count: added });
+    } catch (err) {
+      console.warn(`[sitemap] ${sitemapUrl} failed: ${err.message}`);
+      files.push({ url: sitemapUrl, status: null, type: null, url_count: 0, error: err.message });
+    }
+  }
+
+  return { files, urls };
+}
+
+/**
+ * Records how a crawled page relates to the sitemap: listed, and whether the
+ * listed URL errored, redirected, was noindexed or canonicalised elsewhere.
+ */
+function registerSitemapPage(summaryState, sitemapUrls, requestedUrl, pageResult) {
+  const listedUrl = [requestedUrl, pageResult.url].find((u) => sitemapUrls.has(u));
+  if (!listedUrl) return;
+
+  const sitemap = summaryState.sitemap;
+  sitemap.pages_in_sitemap.push(listedUrl);
+
+  const redirected = pageResult.url && pageResult.url !== listedUrl;
+  const status = pageResult.statusCode;
+
+  if (pageResult.fetchError || redirected || !(status >= 200 && status < 300)) {
+    sitemap.non_200.push({
+      url: listedUrl,
+      status: status ?? null,
+      redirected_to: redirected ? pageResult.url : null,
+      error: pageResult.fetchError || null,
+    });
+    return;
+  }
+
+  if (pageResult.noindex) sitemap.noindex.push(listedUrl);
+  if (pageResult.canonicalUrl && !pageResult.canonicalOk) {
+    sitemap.canonicalised.push({ url: listedUrl, canonical: pageResult.canonicalUrl });
+  }
+}
+
+// ─── Crawl scope ─────────────────────────────────────────────────────────────
+
+/**
+ * Build the crawl scope from a job's scope config (scc_crawl_jobs.scope):
+ *   include / exclude   globs, or regexes prefixed "re:", matched against path + query
+ *                       (or the full URL when the pattern contains "://")
+ *   path_prefixes       only audit URLs under these paths, e.g. ["/blog/"]
+ *   include_subdomains  also crawl subdomains of the seed host
+ *   query_strings       "keep" (default), "strip" or "exclude"
+ *   strip_params        query params always removed
+ *   keep_params         query params that survive "strip" / are allowed by "exclude"
+ */
+function createCrawlScope(seedUrl, config = {}) {
+  const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(String);
+  const compile = (patterns) =>
+    asList(patterns)
+      .map((pattern) => ({ pattern, regex: scopePatternToRegExp(pattern) }))
+      .filter((entry) => entry.regex);
+
+  const queryMode = ["keep", "strip", "exclude"].includes(config.query_strings) ? config.query_strings : "keep";
+
+  return {
+    seedUrl,
+    host: stripWww(safeUrl(seedUrl)?.hostname || ""),
+    includeSubdomains: Boolean(config.include_subdomains),
+    pathPrefixes: asList(config.path_prefixes || config.path_prefix)
+      .map((prefix) => `/${prefix.replace(/^\/+|\/+$/g, "")}`)
+      .filter((prefix) => prefix !== "/"),
+    include: compile(config.include),
+    exclude: compile(config.exclude),
+    queryMode,
+    stripParams: asList(config.strip_params),
+    keepParams: asList(config.keep_params),
+  };
+}
+
+function describeCrawlScope(scope) {
+  return {
+    include: scope.include.map((entry) => entry.pattern),
+    exclude: scope.exclude.map((entry) => entry.pattern),
+    path_prefixes: scope.pathPrefixes,
+    include_subdomains: scope.includeSubdomains,
+    query_strings: scope.queryMode,
+    strip_params: scope.stripParams,
+    keep_params: scope.keepParams,
+  };
+}
+
+// Globs: `*` matches within one path segment, `**` across segments, `?` is literal
+function scopePatternToRegExp(pattern) {
+  if (pattern.startsWith("re:")) {
+    try {
+      return new RegExp(pattern.slice(3), "i");
+    } catch (err) {
+      console.warn(`[scope] invalid pattern ${pattern}: ${err.message}`);
+      return null;
+    }
+  }
+
+  const source = pattern
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*")
+    )
+    .join(".*");
+  return new RegExp(`^${source}$`, "i");
+}
+
+function normalizeScopedUrl(scope, rawUrl) {
+  const normalized = normalizeUrl(rawUrl);
+  if (!normalized) return null;
+  if (!scope.stripParams.length && scope.queryMode !== "strip") return normalized;
+
+  const url = new URL(normalized);
+  scope.stripParams.forEach((param) => url.searchParams.delete(param));
+  if (scope.queryMode === "strip") {
+    for (const key of [...url.searchParams.keys()]) {
+      if (!scope.keepParams.includes(key)) url.searchParams.delete(key);
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Decide whether a normalized URL is inside the crawl scope.
+ * Returns the first rule that rejects it, e.g. "path_prefix" or "exclude: /tag/*".
+ */
+function evaluateScope(scope, urlString) {
+  const url = safeUrl(urlString);
+  if (!url) return { inScope: false, rule: "external" };
+
+  const host = stripWww(url.hostname);
+  if (host !== scope.host) {
+    if (!host.endsWith(`.${scope.host}`)) return { inScope: false, rule: "external" };
+    if (!scope.includeSubdomains) return { inScope: false, rule: "subdomain" };
+  }
+
+  if (
+    scope.pathPrefixes.length &&
+    !scope.pathPrefixes.some((prefix) => url.pathname === prefix || url.pathname.startsWith(`${prefix}/`))
+  ) {
+    return { inScope: false, rule: "path_prefix" };
+  }
+
+  if (scope.queryMode === "exclude" && [...url.searchParams.keys()].some((key) => !scope.keepParams.includes(key))) {
+    return { inScope: false, rule: "query_string" };
+  }
+
+  const pathAndQuery = `${url.pathname}${url.search}`;
+  const matches = (entry) => entry.regex.test(entry.pattern.includes("://") ? url.toString() : pathAndQuery);
+
+  const excluded = scope.exclude.find(matches);
+  if (excluded) return { inScope: false, rule: `exclude: ${excluded.pattern}` };
+
+  if (scope.include.length && !scope.include.some(matches)) return { inScope: false, rule: "include" };
+
+  return { inScope: true, rule: null };
+}
+
+function recordOutOfScope(summaryState, url, rule) {
+  const scopeSummary = summaryState.scope;
+  scopeSummary.out_of_scope_count += 1;
+  scopeSummary.out_of_scope_by_rule[rule] = (scopeSummary.out_of_scope_by_rule[rule] || 0) + 1;
+  const examples = (scopeSummary.examples[rule] ||= []);
+  if (examples.length < 5) examples.push(url);
+}
+
+// ─── Crawl traps ─────────────────────────────────────────────────────────────
+
+const SESSION_PARAM_RE = /^(sid|sessid|sessionid|session_id|phpsessid|jsessionid|aspsessionid\w*|cfid|cftoken|zenid|oscsid)$/i;
+const CALENDAR_PARAM_RE = /^(date|day|week|month|year|cal|calendar|from|to|start|end|ical|time)$/i;
+const CALENDAR_PATH_RE = /(calendar|events?|agenda|schedule|diary|bookings?)/i;
+const DATE_IN_URL_RE = /(?:^|[/=_-])(?:19|20)\d{2}(?:[/_-]?(?:0?[1-9]|1[0-2]))(?:[/_-]?(?:0?[1-9]|[12]\d|3[01]))?(?=$|[/&?_-])/;
+
+// Frontier-side counters; plain objects so they survive checkpoints
+function createTrapState() {
+  return {
+    family_counts: {},
+    query_variants: {},
+    calendar_counts: {},
+  };
+}
+
+// A non-numeric segment seen three times, which also catches loops such as
+// /a/b/a/b/a/b. Two repeats are allowed (/docs/v1/api/v1/api), and numeric
+// segments are ignored so dated permalinks like /2023/11/11/post pass.
+function hasRepeatingPath(segments) {
+  if (segments.length > 12) return true;
+
+  const counts = {};
+  for (const seg of segments) {
+    if (/^\d+$/.test(seg)) continue;
+    counts[seg] = (counts[seg] || 0) + 1;
+    if (counts[seg] >= 3) return true;
+  }
+
+  return false;
+}
+
+// Ceiling keys for a URL: its family, its sorted query (per path) and its calendar pattern
+function getTrapKeys(url) {
+  const params = [...url.searchParams.keys()];
+  const sortedQuery = params.length
+    ? [...url.searchParams.entries()]
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join("&")
+    : null;
+  const isCalendar =
+    DATE_IN_URL_RE.test(`${url.pathname}${url.search}`) &&
+    (CALENDAR_PATH_RE.test(url.pathname) || params.some((key) => CALENDAR_PARAM_RE.test(key)));
+  const calendarKey = isCalendar
+    ? `${url.pathname.replace(/\d+/g, "N")}?${params.filter((key) => !CALENDAR_PARAM_RE.test(key)).sort().join("&")}`
+    : null;
+  return { params, sortedQuery, calendarKey, familyKey: getUrlFamily(url.toString()) };
+}
+
+/**
+ * Check a frontier candidate for crawl traps without counting it; call
+ * recordQueuedForTraps once the URL is actually queued.
+ * Returns null, or the trap type that should suppress it.
+ */
+function detectCrawlTrap(trapState, urlString) {
+  const url = safeUrl(urlString);
+  if (!url) return null;
+
+  const { params, sortedQuery, calendarKey, familyKey } = getTrapKeys(url);
+  if (params.some((key) => SESSION_PARAM_RE.test(key)) || /;jsessionid=/i.test(url.pathname)) {
+    return "session_id";
+  }
+
+  if (hasRepeatingPath(getPathSegments(urlString))) return "repeating_path";
+
+  // The same parameters in a different order are the same page as the one already queued
+  if (sortedQuery) {
+    const variants = trapState.query_variants[url.pathname] || {};
+    const queuedOrder = variants[sortedQuery];
+    if (queuedOrder !== undefined && queuedOrder !== url.search.slice(1)) return "param_permutation";
+    if (queuedOrder === undefined && Object.keys(variants).length >= TRAP_QUERY_VARIANTS) return "param_explosion";
+  }
+
+  if (calendarKey && (trapState.calendar_counts[calendarKey] || 0) >= TRAP_CALENDAR_VARIANTS) return "calendar";
+  if ((trapState.family_counts[familyKey] || 0) >= TRAP_FAMILY_CEILING) return "family_ceiling";
+
+  return null;
+}
+
+// Count a queued URL towards its family, query-variant and calendar ceilings
+function recordQueuedForTraps(trapState, urlString) {
+  const url = safeUrl(urlString);
+  if (!url) return;
+
+  const { sortedQuery, calendarKey, familyKey } = getTrapKeys(url);
+  trapState.family_counts[familyKey] = (trapState.family_counts[familyKey] || 0) + 1;
+  if (sortedQuery) (trapState.query_variants[url.pathname] ||= {})[sortedQuery] ??= url.search.slice(1);
+  if (calendarKey) trapState.calendar_counts[calendarKey] = (trapState.calendar_counts[calendarKey] || 0) + 1;
+}
+
+function recordCrawlTrap(summaryState, url, trapType) {
+  const traps = summaryState.crawl_traps;
+  traps.suppressed_count += 1;
+  traps.by_type[trapType] = (traps.by_type[trapType] || 0) + 1;
+  const examples = (traps.examples[trapType] ||= []);
+  if (examples.length < 5) examples.push(url);
+}
+
+// ─── Robots directives ───────────────────────────────────────────────────────
+
+// Directives are resolved for each of these crawlers; scoring follows Google's view
+const ROBOTS_DIRECTIVE_AGENTS = ["googlebot", "bingbot"];
+const PRIMARY_ROBOTS_AGENT = "googlebot";
+const ROBOTS_META_NAMES = ["robots", ...ROBOTS_DIRECTIVE_AGENTS];
+const KNOWN_ROBOTS_DIRECTIVES = [
+  "all", "none", "index", "noindex", "follow", "nofollow", "noarchive", "nocache",
+  "nosnippet", "noimageindex", "notranslate", "indexifembedded",
+  "max-snippet", "max-image-preview", "max-video-preview", "unavailable_after",
+];
+const IMAGE_PREVIEW_ORDER = ["none", "standard", "large"];
+
+// Split on commas, re-joining the pieces of dates such as "unavailable_after: Friday, 25-Jun-2027"
+function tokenizeRobotsValue(value) {
+  const tokens = [];
+  for (const raw of String(value || "").split(",")) {
+    const piece = raw.trim();
+    if (!piece) continue;
+    const name = piece.split(":")[0].trim().toLowerCase();
+    const last = tokens[tokens.length - 1];
+    const isAgentPrefix = /^[a-z0-9_-]+\s*:/i.test(piece);
+    if (!KNOWN_ROBOTS_DIRECTIVES.includes(name) && !isAgentPrefix && last && /^unavailable_after/i.test(last)) {
+      tokens[tokens.length - 1] = `${last}, ${piece}`;
+      continue;
+    }
+    tokens.push(piece);
+  }
+  return tokens;
+}
+
+/**
+ * Collect directive groups from robots/crawler meta tags and the X-Robots-Tag header.
+ * A header token like "googlebot: noindex" scopes it and following tokens to that agent.
+ */
+function collectRobotsSources($, headers = {}) {
+  const sources = [];
+
+  if ($) {
+    $("meta[name]").each((_, el) => {
+      const name = ($(el).attr("name") || "").trim().toLowerCase();
+      if (!ROBOTS_META_NAMES.includes(name)) return;
+      const directives = tokenizeRobotsValue($(el).attr("content"));
+      if (directives.length) {
+        sources.push({ source: "meta", user_agent: name === "robots" ? "*" : name, directives });
+      }
+    });
+  }
+
+  const headerValue = headers["x-robots-tag"];
+  const headerValues = Array.isArray(headerValue) ? headerValue : headerValue ? [headerValue] : [];
+  for (const value of headerValues) {
+    let agent = "*";
+    for (const token of tokenizeRobotsValue(value)) {
+      const prefixed = /^([a-z0-9_-]+)\s*:\s*(.*)$/i.exec(token);
+      let directive = token;
+      if (prefixed && !KNOWN_ROBOTS_DIRECTIVES.includes(prefixed[1].toLowerCase())) {
+        agent = prefixed[1].toLowerCase();
+        directive = prefixed[2];
+      }
+      if (!directive) continue;
+      const group = sources.find((s) => s.source === "header" && s.user_agent === agent);
+      if (group) group.directives.push(directive);
+      else sources.push({ source: "header", user_agent: agent, directives: [directive] });
+    }
+  }
+
+  return sources;
+}
+
+// The most restrictive value wins when sources disagree
+function mergeRobotsDirectives(sources, userAgent) {
+  const merged = {
+    noindex: false,
+    nofollow: false,
+    noarchive: false,
+    nosnippet: false,
+    noimageindex: false,
+    notranslate: false,
+    max_snippet: null,
+    max_image_preview: null,
+    max_video_preview: null,
+    unavailable_after: null,
+    expired: false,
+    sources: [],
+  };
+
+  const minLimit = (current, raw) => {
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) return current;
+    return current == null ? n : Math.min(current, n);
+  };
+
+  for (const group of sources) {
+    if (group.user_agent !== "*" && group.user_agent !== userAgent) continue;
+    if (!merged.sources.includes(group.source)) merged.sources.push(group.source);
+
+    for (const token of group.directives) {
+      const [rawName, ...rest] = token.split(":");
+      const name = rawName.trim().toLowerCase();
+      const value = rest.join(":").trim();
+
+      if (name === "none") {
+        merged.noindex = true;
+        merged.nofollow = true;
+      } else if (name === "nocache") {
+        merged.noarchive = true;
+      } else if (["noindex", "nofollow", "noarchive", "nosnippet", "noimageindex", "notranslate"].includes(name)) {
+        merged[name] = true;
+      } else if (name === "max-snippet") {
+        merged.max_snippet = minLimit(merged.max_snippet, value);
+      } else if (name === "max-video-preview") {
+        merged.max_video_preview = minLimit(merged.max_video_preview, value);
+      } else if (name === "max-image-preview") {
+        const level = value.toLowerCase();
+        if (!IMAGE_PREVIEW_ORDER.includes(level)) continue;
+        if (
+          merged.max_image_preview == null ||
+          IMAGE_PREVIEW_ORDER.indexOf(level) < IMAGE_PREVIEW_ORDER.indexOf(merged.max_image_preview)
+        ) {
+          merged.max_image_preview = level;
+        }
+      } else if (name === "unavailable_after") {
+        const ms = Date.parse(value);
+        if (!Number.isFinite(ms)) continue;
+        if (merged.unavailable_after == null || ms < Date.parse(merged.unavailable_after)) {
+          merged.unavailable_after = new Date(ms).toISOString();
+        }
+      }
+    }
+  }
+
+  merged.expired = merged.unavailable_after != null && Date.parse(merged.unavailable_after) <= Date.now();
+  return merged;
+}
+
+function extractRobotsDirectives($, headers = {}) {
+  const sources = collectRobotsSources($, headers);
+  const byAgent = {};
+  for (const agent of ROBOTS_DIRECTIVE_AGENTS) {
+    byAgent[agent] = mergeRobotsDirectives(sources, agent);
+  }
+
+  const rawHeader = headers["x-robots-tag"];
+  return {
+    metaRobots: $ ? $('meta[name="robots"]').attr("content") || null : null,
+    xRobotsTag: Array.isArray(rawHeader) ? rawHeader.join(", ") : rawHeader || null,
+    sources,
+    byAgent,
+    effective: byAgent[PRIMARY_ROBOTS_AGENT],
+  };
+}
+
+// Crawl-row columns: every agent's merged directives, plus Google's as flat columns
+function robotsDirectiveColumns(xRobotsTag, byAgent) {
+  const primary = byAgent[PRIMARY_ROBOTS_AGENT];
+  return {
+    x_robots_tag: xRobotsTag,
+    robots_directives: byAgent,
+    nofollow: primary.nofollow,
+    noarchive: primary.noarchive,
+    nosnippet: primary.nosnippet,
+    noimageindex: primary.noimageindex,
+    max_snippet: primary.max_snippet,
+    max_image_preview: primary.max_image_preview,
+    max_video_preview: primary.max_video_preview,
+    unavailable_after: primary.unavailable_after,
+  };
+}
+
+// ─── Structured data ─────────────────────────────────────────────────────────
+
+// Bounds on what is stored per page; validation always sees the full trees
+const SCHEMA_MAX_STORED_ENTITIES = 30;
+const SCHEMA_MAX_STRING_LENGTH = 300;
+
+// Subtypes validated with their parent's rich-result rules
+const SCHEMA_TYPE_ALIASES = {
+  NewsArticle: "Article",
+  BlogPosting: "Article",
+  TechArticle: "Article",
+  ScholarlyArticle: "Article",
+  Corporation: "Organization",
+  NGO: "Organization",
+  EducationalOrganization: "Organization",
+  OnlineStore: "Organization",
+  Restaurant: "LocalBusiness",
+  Store: "LocalBusiness",
+  ProfessionalService: "LocalBusiness",
+  HomeAndConstructionBusiness: "LocalBusiness",
+  HealthAndBeautyBusiness: "LocalBusiness",
+  AutomotiveBusiness: "LocalBusiness",
+  FinancialService: "LocalBusiness",
+  FoodEstablishment: "LocalBusiness",
+  LegalService: "LocalBusiness",
+  MedicalBusiness: "LocalBusiness",
+  Dentist: "LocalBusiness",
+  RealEstateAgent: "LocalBusiness",
+  LodgingBusiness: "LocalBusiness",
+  Hotel: "LocalBusiness",
+  MusicEvent: "Event",
+  BusinessEvent: "Event",
+  EducationEvent: "Event",
+  SportsEvent: "Event",
+  TheaterEvent: "Event",
+};
+
+/**
+ * Rich-result requirements per type. Paths use dots for nesting and "|" for
+ * alternatives. `children` names properties whose values are validated as
+ * the given type (and fully reported, like top-level entities).
+ */
+const SCHEMA_RULES = {
+  Product: {
+    required: ["name"],
+    anyOf: [["offers", "review", "aggregateRating"]],
+    recommended: ["image", "description", "brand.name|brand", "sku|gtin|gtin13|gtin12|gtin8|mpn"],
+    children: { offers: "Offer", review: "Review", aggregateRating: "AggregateRating" },
+  },
+  Offer: {
+    required: ["price|priceSpecification.price", "priceCurrency|priceSpecification.priceCurrency"],
+    recommended: ["availability", "url", "priceValidUntil"],
+  },
+  AggregateOffer: {
+    required: ["lowPrice", "priceCurrency"],
+    recommended: ["highPrice", "offerCount"],
+  },
+  AggregateRating: {
+    required: ["ratingValue", "ratingCount|reviewCount"],
+    recommended: ["bestRating"],
+  },
+  Review: {
+    // A plain-string author is accepted; a Person or Organization with a name is preferred
+    required: ["author", "reviewRating.ratingValue"],
+    requiredTopLevel: ["itemReviewed"],
+    recommended: ["author.name", "datePublished"],
+  },
+  LocalBusiness: {
+    required: ["name", "address"],
+    recommended: ["telephone", "url", "image", "geo", "openingHoursSpecification|openingHours", "priceRange"],
+    children: { address: "PostalAddress" },
+  },
+  PostalAddress: {
+    required: [],
+    recommended: ["streetAddress", "addressLocality", "postalCode", "addressCountry"],
+  },
+  Article: {
+    required: [],
+    recommended: ["headline", "image", "datePublished", "dateModified", "author.name"],
+  },
+  FAQPage: {
+    required: ["mainEntity"],
+    children: { mainEntity: "Question" },
+  },
+  Question: {
+    required: ["name", "acceptedAnswer.text"],
+  },
+  BreadcrumbList: {
+    required: ["itemListElement"],
+    children: { itemListElement: "ListItem" },
+  },
+  ListItem: {
+    required: ["position", "name|item.name"],
+  },
+  Organization: {
+    required: [],
+    recommended: ["name", "url", "logo", "sameAs"],
+  },
+  Event: {
+    required: ["name", "startDate", "location"],
+    recommended: ["description", "endDate", "eventStatus", "image", "offers", "organizer", "performer"],
+    children: { location: "Place", offers: "Offer" },
+  },
+  Place: {
+    required: ["address"],
+  },
+  VirtualLocation: {
+    required: ["url"],
+  },
+};
+
+const SCHEMA_DATE_PROPERTIES = ["datePublished", "dateModified", "startDate", "endDate", "priceValidUntil", "validFrom"];
+const SCHEMA_NUMBER_PROPERTIES = ["price", "lowPrice", "highPrice", "ratingValue", "bestRating", "worstRating", "position"];
+
+function shortSchemaType(type) {
+  return String(type || "").trim().split(/[/#]/).pop();
+}
+
+function schemaTypesOf(entity) {
+  const raw = entity?.["@type"];
+  return (Array.isArray(raw) ? raw : raw ? [raw] : []).map(shortSchemaType).filter(Boolean);
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : value == null ? [] : [value];
+}
+
+function isEntity(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Some CMSs wrap JSON-LD in HTML comments or CDATA markers
+function parseJsonLdBlock(raw) {
+  const cleaned = raw
+    .trim()
+    .replace(/^<!--/, "")
+    .replace(/-->$/, "")
+    .replace(/^\s*(\/\/\s*)?<!\[CDATA\[/, "")
+    .replace(/(\/\/\s*)?\]\]>\s*$/, "")
+    .trim();
+  return JSON.parse(cleaned);
+}
+
+// Top-level JSON-LD entities, with @graph and array wrappers flattened
+function parseJsonLd($) {
+  const entities = [];
+  const parseErrors = [];
+
+  $('script[type="application/ld+json"]').each((index, el) => {
+    const raw = $(el).html() || "";
+    if (!raw.trim()) return;
+
+    let data;
+    try {
+      data = parseJsonLdBlock(raw);
+    } catch (err) {
+      parseErrors.push({ path: `JSON-LD block ${index + 1}`, message: `invalid JSON: ${err.message}` });
+      return;
+    }
+
+    const queue = toList(data);
+    while (queue.length) {
+      const node = queue.shift();
+      if (!isEntity(node)) continue;
+      if (Array.isArray(node["@graph"])) {
+        queue.push(...node["@graph"]);
+        const { "@graph": _graph, "@context": _context, ...rest } = node;
+        if (rest["@type"]) entities.push({ ...rest, _source: "json-ld" });
+        continue;
+      }
+      const { "@context": _context, ...rest } = node;
+      entities.push({ ...rest, _source: "json-ld" });
+    }
+  });
+
+  return { entities, parseErrors };
+}
+
+function readMicrodataValue($, el) {
+  const $el = $(el);
+  if ($el.is("[itemscope]")) return readMicrodataItem($, el);
+
+  const tag = (el.tagName || "").toLowerCase();
+  if (tag === "meta") return $el.attr("content") || "";
+  if (["a", "link", "area"].includes(tag)) return $el.attr("href") || "";
+  if (["img", "audio", "video", "source", "embed", "iframe"].includes(tag)) return $el.attr("src") || "";
+  if (tag === "time") return $el.attr("datetime") || cleanText($el.text());
+  if (["data", "meter"].includes(tag)) return $el.attr("value") || cleanText($el.text());
+  return $el.attr("content") || cleanText($el.text());
+}
+
+// Microdata item as a JSON-LD shaped tree
+function readMicrodataItem($, el) {
+  const $el = $(el);
+  const item = {};
+  const itemType = ($el.attr("itemtype") || "").trim().split(/\s+/).filter(Boolean).map(shortSchemaType);
+  if (itemType.length) item["@type"] = itemType.length === 1 ? itemType[0] : itemType;
+  if ($el.attr("itemid")) item["@id"] = $el.attr("itemid");
+
+  $el.find("[itemprop]").each((_, propEl) => {
+    // Only direct properties: the nearest enclosing item must be this one
+    if ($(propEl).parent().closest("[itemscope]")[0] !== el) return;
+    const value = readMicrodataValue($, propEl);
+    for (const name of ($(propEl).attr("itemprop") || "").trim().split(/\s+/).filter(Boolean)) {
+      if (item[name] === undefined) item[name] = value;
+      else item[name] = [...toList(item[name]), value];
+    }
+  });
+
+  return item;
+}
+
+function parseMicrodata($) {
+  const entities = [];
+  $("[itemscope]").each((_, el) => {
+    if ($(el).is("[itemprop]")) return;
+    entities.push({ ...readMicrodataItem($, el), _source: "microdata" });
+  });
+  return entities;
+}
+
+/** JSON-LD and microdata entity trees for a page, plus JSON-LD blocks that failed to parse. */
+function extractStructuredData($) {
+  const { entities, parseErrors } = parseJsonLd($);
+  return { entities: [...entities, ...parseMicrodata($)], parseErrors };
+}
+
+// Every @type in the trees, top-level first (stored and scored; classification uses top-level types only)
+function collectSchemaTypes(entities) {
+  const types = new Set();
+  const walk = (node, depth) => {
+    if (depth > 6) return;
+    if (Array.isArray(node)) return node.forEach((child) => walk(child, depth));
+    if (!isEntity(node)) return;
+    schemaTypesOf(node).forEach((type) => types.add(type));
+    for (const [key, value] of Object.entries(node)) {
+      if (!key.startsWith("@")) walk(value, depth + 1);
+    }
+  };
+  entities.forEach((entity) => schemaTypesOf(entity).forEach((type) => types.add(type)));
+  entities.forEach((entity) => walk(entity, 0));
+  return Array.from(types).slice(0, 20);
+}
+
+function buildSchemaIdIndex(entities) {
+  const index = new Map();
+  const walk = (node, depth) => {
+    if (depth > 6) return;
+    if (Array.isArray(node)) return node.forEach((child) => walk(child, depth));
+    if (!isEntity(node)) return;
+    if (node["@id"] && Object.keys(node).some((key) => !key.startsWith("@") && key !== "_source")) {
+      index.set(node["@id"], node);
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (!key.startsWith("@")) walk(value, depth + 1);
+    }
+  };
+  walk(entities, 0);
+  return index;
+}
+
+// {"@id": ...} references resolve to the node defined elsewhere on the page
+function derefSchemaNode(value, idIndex) {
+  if (isEntity(value) && value["@id"] && Object.keys(value).every((key) => key.startsWith("@"))) {
+    return idIndex.get(value["@id"]) || value;
+  }
+  return value;
+}
+
+function hasSchemaValue(value) {
+  if (value == null) return false;
+  if (typeof value === "string") return value.trim().length > 0;
+  if (Array.isArray(value)) return value.some(hasSchemaValue);
+  return true;
+}
+
+function getSchemaPath(entity, path, idIndex) {
+  let current = entity;
+  for (const key of path.split(".")) {
+    current = derefSchemaNode(toList(current)[0], idIndex);
+    if (!isEntity(current)) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+function hasSchemaPath(entity, alternatives, idIndex) {
+  return alternatives.split("|").some((path) => hasSchemaValue(getSchemaPath(entity, path, idIndex)));
+}
+
+function validateSchemaEntity(entity, { path, expectedType = null, topLevel, idIndex, findings, depth = 0 }) {
+  if (depth > 5) return;
+
+  const types = schemaTypesOf(entity);
+  if (!types.length && expectedType) {
+    findings.errors.push({ path, message: `missing @type (expected ${expectedType})` });
+  }
+
+  const ruleTypes = (types.length ? types : [expectedType])
+    .map((type) => (SCHEMA_RULES[type] ? type : SCHEMA_TYPE_ALIASES[type]))
+    .filter((type) => SCHEMA_RULES[type]);
+
+  for (const ruleType of new Set(ruleTypes)) {
+    const rule = SCHEMA_RULES[ruleType];
+
+    for (const required of [...(rule.required || []), ...(topLevel ? rule.requiredTopLevel || [] : [])]) {
+      if (!hasSchemaPath(entity, required, idIndex)) {
+        findings.errors.push({ path: `${path}.${required.split("|")[0]}`, message: "missing required property" });
+      }
+    }
+    for (const group of rule.anyOf || []) {
+      if (!group.some((prop) => hasSchemaPath(entity, prop, idIndex))) {
+        findings.errors.push({ path: `${path}.${group[0]}`, message: `needs at least one of ${group.join(", ")}` });
+      }
+    }
+    for (const recommended of rule.recommended || []) {
+      if (!hasSchemaPath(entity, recommended, idIndex)) {
+        findings.warnings.push({ path: `${path}.${recommended.split("|")[0]}`, message: "missing recommended property" });
+      }
+    }
+
+    for (const [prop, childType] of Object.entries(rule.children || {})) {
+      const values = toList(entity[prop]);
+      values.forEach((raw, i) => {
+        const childPath = values.length > 1 ? `${path}.${prop}[${i}]` : `${path}.${prop}`;
+        const child = derefSchemaNode(raw, idIndex);
+        if (!isEntity(child)) {
+          // A plain URL or name is acceptable for a location or address, not for the others
+          if (!["address", "location"].includes(prop)) {
+            findings.errors.push({ path: childPath, message: `should be a ${childType} object` });
+          }
+          return;
+        }
+        validateSchemaEntity(child, { path: childPath, expectedType: childType, topLevel: false, idIndex, findings, depth: depth + 1 });
+      });
+    }
+  }
+
+  for (const prop of SCHEMA_DATE_PROPERTIES) {
+    const value = toList(entity[prop])[0];
+    if (typeof value === "string" && value.trim() && Number.isNaN(Date.parse(value))) {
+      findings.errors.push({ path: `${path}.${prop}`, message: `"${value}" is not an ISO 8601 date` });
+    }
+  }
+  for (const prop of SCHEMA_NUMBER_PROPERTIES) {
+    const value = toList(entity[prop])[0];
+    if (typeof value === "string" && value.trim() && !/^-?\d+(\.\d+)?$/.test(value.trim().replace(/,/g, ""))) {
+      findings.errors.push({ path: `${path}.${prop}`, message: `"${value}" is not a number` });
+    }
+  }
+}
+
+/** Rich-result errors and missing recommended properties, keyed by property path. */
+function validateStructuredData({ entities, parseErrors }) {
+  const findings = { errors: [...parseErrors], warnings: [] };
+  const idIndex = buildSchemaIdIndex(entities);
+  const seenPaths = new Map();
+
+  for (const entity of entities) {
+    const label = schemaTypesOf(entity)[0];
+    if (!label) continue;
+    // Disambiguate repeated top-level types: Product, Product[2], ...
+    const count = (seenPaths.get(label) || 0) + 1;
+    seenPaths.set(label, count);
+    const path = count > 1 ? `${label}[${count}]` : label;
+    validateSchemaEntity(entity, { path, topLevel: true, idIndex, findings });
+  }
+
+  return findings;
+}
+
+// Stored copy of the trees: capped in count, depth and string length
+function compactSchemaTree(node, depth = 0) {
+  if (typeof node === "string") return node.length > SCHEMA_MAX_STRING_LENGTH ? `${node.slice(0, SCHEMA_MAX_STRING_LENGTH)}…` : node;
+  if (depth > 6) return Array.isArray(node) || isEntity(node) ? "[truncated]" : node;
+  if (Array.isArray(node)) return node.slice(0, 50).map((child) => compactSchemaTree(child, depth + 1));
+  if (isEntity(node)) {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, compactSchemaTree(value, depth + 1)]));
+  }
+  return node;
+}
+
+function compactStructuredData(entities) {
+  return entities.slice(0, SCHEMA_MAX_STORED_ENTITIES).map((entity) => compactSchemaTree(entity));
+}
+
+function formatSchemaFindings(list, limit = 10) {
+  const shown = list.slice(0, limit).map((finding) => `${finding.path}: ${finding.message}`);
+  if (list.length > limit) shown.push(`and ${list.length - limit} more`);
+  return shown.join("; ");
+}
+
+function buildSchemaActions({ schemaFindings, pageType }) {
+  if (!schemaFindings) return [];
+  const isCommercial = isCommercialPageType(pageType);
+  const actions = [];
+
+  if (schemaFindings.errors.length) {
+    actions.push(createPageAction({
+      actionType: "fix_schema_errors",
+      titleText: `Fix ${schemaFindings.errors.length} structured data error${schemaFindings.errors.length > 1 ? "s" : ""}`,
+      summary: "Structured data on this page is invalid or missing properties required for rich results.",
+      whyItMatters: "Search engines ignore invalid markup, so the page loses eligibility for rich results like stars, prices and FAQs.",
+      technicalReason: formatSchemaFindings(schemaFindings.errors),
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Fix each listed property path in the JSON-LD or microdata.",
+        "Validate the page with Google's Rich Results Test.",
+      ],
+      score: isCommercial ? 70 : 56,
+    }));
+  }
+
+  if (schemaFindings.warnings.length) {
+    actions.push(createPageAction({
+      actionType: "add_schema_recommended_properties",
+      titleText: "Add missing recommended schema properties",
+      summary: "Structured data on this page is valid but leaves out recommended properties.",
+      whyItMatters: "Recommended properties make rich results more complete and more likely to be shown.",
+      technicalReason: formatSchemaFindings(schemaFindings.warnings),
+      expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
+      steps: ["Add the listed properties where the page has the information."],
+      score: isCommercial ? 48 : 36,
+    }));
+  }
+
+  return actions;
+}
+
+// ─── Main content ────────────────────────────────────────────────────────────
+
+// Site chrome that is never the page's own content
+const BOILERPLATE_SELECTOR = [
+  "nav", "header", "footer", "aside",
+  "[role='navigation']", "[role='banner']", "[role='contentinfo']", "[role='complementary']",
+  "[role='dialog']", "[aria-modal='true']",
+].join(", ");
+// Cookie banners, consent and newsletter pop-ups; only removed when short, since wrappers can carry these classes too
+const OVERLAY_SELECTOR = [
+  "[id*='cookie' i]", "[class*='cookie' i]", "[id*='consent' i]", "[class*='consent' i]",
+  "[id*='newsletter' i]", "[class*='newsletter' i]", "[class*='popup' i]", "[class*='modal' i]",
+].join(", ");
+const OVERLAY_MAX_WORDS = 150;
+const CONTENT_BLOCK_SELECTOR = "p, li, h1, h2, h3, h4, h5, h6, td, dd, dt, blockquote, pre, figcaption";
+const CONTENT_BLOCKS_PER_PAGE = 300;
+// A <main>/<article> or density pick must hold this share of the de-chromed text to be trusted
+const MAIN_CONTENT_MIN_SHARE = 0.25;
+// A block is template boilerplate when it is on at least this many pages of the template, and on half of them
+const REPEATED_BLOCK_MIN_PAGES = 3;
+const TEMPLATE_BOILERPLATE_ACTION_TYPES = ["expand_content", "improve_article_depth"];
+
+// Pages sharing a first path segment and path depth are assumed to share a template
+function getContentTemplateKey(urlString) {
+  const segments = getPathSegments(urlString);
+  return `${segments[0] || ""}/${segments.length}`;
+}
+
+function getLinkDensity($, el) {
+  const textLength = cleanText($(el).text() || "").length;
+  if (!textLength) return 1;
+  const linkLength = $(el).find("a").toArray().reduce((sum, a) => sum + cleanText($(a).text() || "").length, 0);
+  return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * Isolate the main content block of a cleaned <body> clone. Site chrome and
+ * overlays are dropped first, then <main>/<article> is used when it holds
+ * enough of the text, else the block with the best paragraph-text score
+ * discounted by link density, else everything left. `blocks` (innermost
+ * text blocks with word counts) feed removeTemplateBoilerplate after the crawl.
+ */
+function extractMainContent($, $body) {
+  const $root = $body.clone();
+  $root.find(BOILERPLATE_SELECTOR).remove();
+  $root.find(OVERLAY_SELECTOR).each((_, el) => {
+    if (countWords(cleanText($(el).text() || "")) <= OVERLAY_MAX_WORDS) $(el).remove();
+  });
+  const strippedWords = countWords(cleanText($root.text() || ""));
+  const holdsEnough = (el) => countWords(cleanText($(el).text() || "")) >= strippedWords * MAIN_CONTENT_MIN_SHARE;
+
+  let $main = null;
+  let method = "stripped";
+
+  const semantic = $root
+    .find("main, [role='main'], article")
+    .toArray()
+    .sort((a, b) => cleanText($(b).text() || "").length - cleanText($(a).text() || "").length)[0];
+  if (semantic && holdsEnough(semantic)) {
+    $main = $(semantic);
+    method = "semantic";
+  } else {
+    // Paragraph-like text scores its parent in full and its grandparent by half
+    const scores = new Map();
+    $root.find("p, pre, blockquote, li, td, dd").each((_, el) => {
+      const length = cleanText($(el).text() || "").length;
+      if (length < 25) return;
+      const score = 1 + Math.min(3, Math.floor(length / 100));
+      const parent = el.parent;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+      if (parent?.parent) scores.set(parent.parent, (scores.get(parent.parent) || 0) + score / 2);
+    });
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - getLinkDensity($, el));
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    }
+    if (best && holdsEnough(best)) {
+      $main = $(best);
+      method = "density";
+    }
+  }
+  if (!$main) $main = $root;
+
+  const blocks = [];
+  const seenBlocks = new Set();
+  $main.find(CONTENT_BLOCK_SELECTOR).each((_, el) => {
+    // Innermost blocks only, so nested list items and paragraphs are not counted twice
+    if ($(el).find(CONTENT_BLOCK_SELECTOR).length) return;
+    const text = cleanText($(el).text() || "").toLowerCase();
+    const words = countWords(text);
+    if (words < 3) return;
+    const hash = fnv1a32(text).toString(36);
+    if (seenBlocks.has(hash) || blocks.length >= CONTENT_BLOCKS_PER_PAGE) return;
+    seenBlocks.add(hash);
+    blocks.push({ hash, words });
+  });
+
+  return {
+    text: cleanText($main.text() || ""),
+    method,
+    blocks,
+  };
+}
+
+/**
+ * After the crawl, find text blocks repeated across pages of the same URL
+ * template and take their words out of each page's main content word count.
+ * Judged over every stored page at once (reused pages carry their blocks), so
+ * the result does not depend on crawl order or resumes. Thin-content counts,
+ * actions and scores follow the corrected word counts.
+ */
+async function removeTemplateBoilerplate({ snapshotId, summaryState }) {
+  const rows = (
+    await loadSnapshotCrawlRows(
+      snapshotId,
+      "page_id, final_url, page_type, soft_404, word_count, main_word_count, body_word_count, boilerplate_ratio, content_blocks, repeated_block_words"
+    )
+  ).filter((row) => row.final_url && Array.isArray(row.content_blocks) && row.main_word_count != null);
+
+  const templates = new Map();
+  for (const row of rows) {
+    const key = getContentTemplateKey(row.final_url);
+    if (!templates.has(key)) templates.set(key, []);
+    templates.get(key).push(row);
+  }
+
+  const repeatedBlocks = new Set();
+  for (const templateRows of templates.values()) {
+    if (templateRows.length < REPEATED_BLOCK_MIN_PAGES) continue;
+    const minPages = Math.max(REPEATED_BLOCK_MIN_PAGES, Math.ceil(templateRows.length / 2));
+    const pagesByBlock = new Map();
+    for (const row of templateRows) {
+      for (const block of row.content_blocks) pagesByBlock.set(block.hash, (pagesByBlock.get(block.hash) || 0) + 1);
+    }
+    for (const [hash, count] of pagesByBlock) {
+      if (count >= minPages) repeatedBlocks.add(`${getContentTemplateKey(templateRows[0].final_url)} ${hash}`);
+    }
+  }
+
+  const mainContent = summaryState.main_content;
+  const changed = new Set();
+  let pagesAffected = 0;
+
+  for (const row of rows) {
+    const key = getContentTemplateKey(row.final_url);
+    const repeatedWords = row.content_blocks
+      .filter((block) => repeatedBlocks.has(`${key} ${block.hash}`))
+      .reduce((sum, block) => sum + block.words, 0);
+    if (repeatedWords) pagesAffected += 1;
+
+    const wordCount = Math.max(0, row.main_word_count - repeatedWords);
+    const previousWordCount = row.word_count || 0;
+    if (wordCount === previousWordCount && repeatedWords === (row.repeated_block_words || 0)) continue;
+
+    const boilerplateRatio = row.body_word_count
+      ? Math.round((1 - wordCount / row.body_word_count) * 1000) / 1000
+      : 0;
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ word_count: wordCount, boilerplate_ratio: boilerplateRatio, repeated_block_words: repeatedWords })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) {
+      console.error(`[template boilerplate] page=${row.page_id}`, error.message);
+      continue;
+    }
+
+    const threshold = getThinContentThreshold(row.page_type);
+    summaryState.issues.thin_content_pages += (wordCount < threshold ? 1 : 0) - (previousWordCount < threshold ? 1 : 0);
+    mainContent.boilerplate_ratio_total += boilerplateRatio - (row.boilerplate_ratio || 0);
+
+    // A soft 404 only carries its fix_soft_404 action
+    if (!row.soft_404) {
+      await deletePageActionsOfTypes(snapshotId, TEMPLATE_BOILERPLATE_ACTION_TYPES, row.page_id);
+      await appendActions({
+        snapshotId,
+        pageId: row.page_id,
+        actions: buildThinContentActions({ wordCount, pageType: row.page_type }),
+      });
+    }
+    changed.add(row.page_id);
+  }
+
+  await rescorePages({ snapshotId, summaryState, pageIds: changed });
+
+  mainContent.template_blocks = repeatedBlocks.size;
+  mainContent.pages_with_template_blocks = pagesAffected;
+  console.log(`[template boilerplate] blocks=${repeatedBlocks.size} pages=${pagesAffected} rescored=${changed.size}`);
+}
+
+// ─── Heading outline ─────────────────────────────────────────────────────────
+
+const HEADING_OUTLINE_MAX = 100;
+// A "heading" this long is body copy styled as a heading
+const HEADING_MAX_WORDS = 25;
+// Structural score penalty per heading issue type; a missing H1 is already scored via hasH1
+const HEADING_ISSUE_PENALTIES = {
+  multiple_h1: 3,
+  skipped_level: 2,
+  empty_heading: 2,
+  styling_heading: 1,
+  missing_title_topic: 3,
+};
+const TITLE_TOPIC_STOPWORDS = new Set([
+  "the", "and", "for", "with", "your", "our", "from", "you", "are", "how", "what", "why", "when",
+  "best", "top", "new", "official", "site", "home", "page", "welcome", "online", "shop", "buy",
+]);
+
+/** H1–H6 in document order with the page region each sits in. */
+function extractHeadingOutline($) {
+  const outline = [];
+  $("h1, h2, h3, h4, h5, h6").each((_, el) => {
+    if (outline.length >= HEADING_OUTLINE_MAX) return false;
+    const $el = $(el);
+    const text = cleanText($el.text() || "") || cleanText($el.find("img[alt]").first().attr("alt") || "");
+    outline.push({
+      level: Number(el.tagName.slice(1)),
+      text: text.slice(0, 200),
+      words: countWords(text),
+      region: getLinkRegion($el),
+    });
+  });
+  return outline;
+}
+
+// Keywords of the title's main segment, e.g. "Blue Widgets for Sale | Acme" → ["blue", "widgets", "sale"]
+function getTitleTopicWords(title) {
+  const segments = cleanText(title || "")
+    .split(/\s+[|–—·:-]\s+/)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  // The brand is usually the shorter segment, so take the longest one
+  const main = segments.sort((a, b) => b.length - a.length)[0] || "";
+  return [...new Set(
+    main
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length >= 3 && !TITLE_TOPIC_STOPWORDS.has(word))
+  )];
+}
+
+// Loose match so "widget" in a heading covers "widgets" in the title
+function stemTopicWord(word) {
+  return word.replace(/(ies|es|s)$/, "");
+}
+
+/**
+ * Validate the heading outline. Skipped levels are only checked from the
+ * first H1 on, since site headers often carry an H2/H3 before it.
+ */
+function analyseHeadingOutline(outline = [], title = "") {
+  const issues = [];
+  const h1s = outline.filter((heading) => heading.level === 1);
+
+  if (!h1s.length) issues.push({ type: "missing_h1", detail: "No H1 element was found on the page." });
+  else if (h1s.length > 1) {
+    issues.push({ type: "multiple_h1", detail: `${h1s.length} H1 tags: ${h1s.map((h) => `"${h.text}"`).slice(0, 5).join(", ")}` });
+  }
+
+  let previousLevel = null;
+  for (const heading of outline) {
+    if (!heading.text) {
+      issues.push({ type: "empty_heading", detail: `Empty <h${heading.level}>` });
+    } else if (heading.words > HEADING_MAX_WORDS) {
+      issues.push({ type: "styling_heading", detail: `<h${heading.level}> holds ${heading.words} words of body copy: "${heading.text.slice(0, 80).trim()}…"` });
+    } else if (!/\p{L}/u.test(heading.text)) {
+      issues.push({ type: "styling_heading", detail: `<h${heading.level}> has no words: "${heading.text}"` });
+    }
+
+    if (previousLevel === null && heading.level !== 1) continue;
+    if (previousLevel !== null && heading.level > previousLevel + 1 && heading.region !== "footer") {
+      issues.push({ type: "skipped_level", detail: `<h${previousLevel}> is followed by <h${heading.level}>${heading.text ? ` ("${heading.text}")` : ""}` });
+    }
+    previousLevel = heading.level;
+  }
+
+  const normalizedTitle = normalizeMetadataValue(title);
+  if (normalizedTitle && h1s.some((heading) => normalizeMetadataValue(heading.text) === normalizedTitle)) {
+    issues.push({ type: "h1_matches_title", detail: `The H1 repeats the title: "${cleanText(title)}"` });
+  }
+
+  const topicWords = getTitleTopicWords(title);
+  if (topicWords.length && outline.some((heading) => heading.text)) {
+    const headingWords = new Set(
+      outline.flatMap((heading) => heading.text.toLowerCase().split(/[^\p{L}\p{N}]+/u).map(stemTopicWord))
+    );
+    if (!topicWords.some((word) => headingWords.has(stemTopicWord(word)))) {
+      issues.push({ type: "missing_title_topic", detail: `No heading mentions the title's topic (${topicWords.join(", ")})` });
+    }
+  }
+
+  return { h1_count: h1s.length, heading_count: outline.length, issues };
+}
+
+// Pages without an outline (fetch errors) are judged on the H1 count alone
+function headingFindingsFromH1Count(h1Count) {
+  const issues = [];
+  if (!h1Count) issues.push({ type: "missing_h1", detail: "No H1 element was found on the page." });
+  else if (h1Count > 1) issues.push({ type: "multiple_h1", detail: `${h1Count} H1 tags were found` });
+  return { h1_count: h1Count, heading_count: h1Count, issues };
+}
+
+function getHeadingIssueTypes(headingFindings) {
+  return [...new Set((headingFindings?.issues || []).map((issue) => issue.type))];
+}
+
+function buildHeadingActions({ headingFindings, pageType }) {
+  if (!headingFindings) return [];
+  const isCommercial = isCommercialPageType(pageType);
+  const byType = (...types) => headingFindings.issues.filter((issue) => types.includes(issue.type));
+  const describe = (issues) =>
+    issues.slice(0, 8).map((issue) => issue.detail).join("; ") + (issues.length > 8 ? `; and ${issues.length - 8} more` : "") + ".";
+  const actions = [];
+
+  if (byType("missing_h1").length) {
+    actions.push(createPageAction({
+      actionType: "add_h1",
+      titleText: "Add a clear H1",
+      summary: "This page has no H1 heading.",
+      whyItMatters: "A primary H1 helps users and search engines understand page focus.",
+      technicalReason: "No H1 element was found on the page.",
+      expectedImpactRange: "Medium",
+      steps: [
+        "Add one primary H1 to the page.",
+        "Align it with the page's main intent.",
+        "Avoid creating multiple competing H1s."
+      ],
+      score: isCommercial ? 82 : 74,
+    }));
+  } else if (byType("multiple_h1").length) {
+    actions.push(createPageAction({
+      actionType: "reduce_multiple_h1s",
+      titleText: "Reduce multiple H1 tags",
+      summary: "This page has multiple H1 tags.",
+      whyItMatters: "Multiple H1s can weaken heading hierarchy and topical clarity.",
+      technicalReason: describe(byType("multiple_h1")),
+      expectedImpactRange: "Low-Medium",
+      steps: [
+        "Keep one primary H1 on the page.",
+        "Convert secondary headings into H2 or H3."
+      ],
+      score: 56,
+    }));
+  }
+
+  const structureIssues = byType("skipped_level", "empty_heading", "styling_heading");
+  if (structureIssues.length) {
+    actions.push(createPageAction({
+      actionType: "fix_heading_hierarchy",
+      titleText: "Clean up the heading outline",
+      summary: "Headings skip levels, are empty, or are used for visual styling rather than structure.",
+      whyItMatters: "A logical H1–H6 outline helps search engines and screen readers understand how the page's content is organised.",
+      technicalReason: describe(structureIssues),
+      expectedImpactRange: "Low-Medium",
+      steps: [
+        "Nest headings in order (H2 under H1, H3 under H2) without skipping levels.",
+        "Remove empty headings.",
+        "Style body copy and labels with CSS classes instead of heading tags."
+      ],
+      score: isCommercial ? 44 : 36,
+    }));
+  }
+
+  if (byType("missing_title_topic").length) {
+    actions.push(createPageAction({
+      actionType: "align_headings_with_title",
+      titleText: "Mention the page topic in the headings",
+      summary: "None of the headings mention the topic the title targets.",
+      whyItMatters: "When headings and title agree, search engines are more confident about what the page is about.",
+      technicalReason: describe(byType("missing_title_topic")),
+      expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
+      steps: [
+        "Work the title's main topic into the H1.",
+        "Use related terms in the H2s that structure the content."
+      ],
+      score: isCommercial ? 58 : 46,
+    }));
+  }
+
+  if (byType("h1_matches_title").length) {
+    actions.push(createPageAction({
+      actionType: "vary_h1_from_title",
+      titleText: "Differentiate the H1 from the title",
+      summary: "The H1 is identical to the title tag.",
+      whyItMatters: "A matching H1 is not an error, but a variation lets the page cover more of the phrasing searchers use.",
+      technicalReason: describe(byType("h1_matches_title")),
+      expectedImpactRange: "Low",
+      steps: ["Keep the topic, but phrase the H1 for people on the page and the title for search results."],
+      score: 24,
+    }));
+  }
+
+  return actions;
+}
+
+// ─── Image audit ─────────────────────────────────────────────────────────────
+
+const IMAGES_PER_PAGE = 150;
+// The first images in the document (outside the footer) are treated as above the fold
+const ABOVE_FOLD_IMAGES = 2;
+const MODERN_IMAGE_FORMATS = ["webp", "avif"];
+const LEGACY_IMAGE_FORMATS = ["jpeg", "png", "gif", "bmp", "tiff"];
+const IMAGE_FORMAT_ALIASES = { jpg: "jpeg", jpe: "jpeg", jfif: "jpeg", tif: "tiff" };
+const IMAGE_ISSUE_TYPES = [
+  "missing_alt",
+  "empty_alt_linked",
+  "filename_alt",
+  "duplicate_alt",
+  "missing_dimensions",
+  "lazy_above_fold",
+  "legacy_format",
+];
+
+// Format from the file extension, a CDN format parameter or a data: URI; null when unknown
+function getImageFormat(urlString) {
+  if (!urlString) return null;
+  const dataMatch = urlString.match(/^data:image\/([\w+.-]+)/i);
+  if (dataMatch) return normalizeImageFormat(dataMatch[1].replace(/\+xml$/i, ""));
+
+  const url = safeUrl(urlString);
+  if (!url) return null;
+  for (const key of ["format", "fm", "f", "type"]) {
+    const value = normalizeImageFormat(url.searchParams.get(key));
+    if (value && [...MODERN_IMAGE_FORMATS, ...LEGACY_IMAGE_FORMATS, "svg"].includes(value)) return value;
+  }
+  const ext = url.pathname.match(/\.([a-z0-9]+)$/i)?.[1];
+  return ext ? normalizeImageFormat(ext) : null;
+}
+
+function normalizeImageFormat(value) {
+  if (!value) return null;
+  const lower = value.toLowerCase();
+  return IMAGE_FORMAT_ALIASES[lower] || lower;
+}
+
+// "a.jpg 1x, b.jpg 2x" → absolute URLs
+function parseSrcset(value, pageUrl) {
+  if (!value) return [];
+  return value
+    .split(/,\s+/)
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .map((src) => (src ? safeUrl(src, pageUrl)?.toString() : null))
+    .filter(Boolean);
+}
+
+// Alt text that is really a file name or camera default, e.g. "IMG_2041" or "hero-banner.jpg"
+function isFilenameLikeAlt(alt, src) {
+  const value = alt.trim();
+  if (/\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?)$/i.test(value)) return true;
+  if (/^(img|image|dsc|dscn|dcim|pxl|photo|screenshot|screen shot)[\s_-]*\d+/i.test(value)) return true;
+  if (/^[a-f0-9-]{16,}$/i.test(value)) return true;
+
+  const stem = decodeURIComponent(safeUrl(src)?.pathname.split("/").pop() || "").replace(/\.[a-z0-9]+$/i, "");
+  const squash = (text) => text.toLowerCase().replace(/[\s_-]+/g, "");
+  return stem.length > 3 && /[_-]/.test(stem) && squash(stem) === squash(value);
+}
+
+function readImageDimension(value) {
+  const match = String(value || "").match(/^\s*(\d+(?:\.\d+)?)\s*(px)?\s*$/i);
+  return match ? Math.round(Number(match[1])) : null;
+}
+
+/**
+ * Inventory of <img> elements, including <picture> sources and srcset
+ * candidates. Lazy-loading libraries' data-src is used when src is a
+ * placeholder. 1×1 tracking pixels are skipped.
+ */
+function extractImages($, pageUrl) {
+  const images = [];
+  let position = 0;
+
+  $("img").each((_, el) => {
+    if (images.length >= IMAGES_PER_PAGE) return false;
+    const $img = $(el);
+    const rawSrc = $img.attr("data-src") || $img.attr("data-lazy-src") || $img.attr("src") || "";
+    const src = rawSrc.startsWith("data:") ? rawSrc.slice(0, 60) : safeUrl(rawSrc, pageUrl)?.toString() || null;
+    const width = readImageDimension($img.attr("width"));
+    const height = readImageDimension($img.attr("height"));
+    if (width === 1 && height === 1) return;
+
+    const $picture = $img.parent("picture");
+    const sources = $picture.find("source").toArray().map((source) => ({
+      type: ($(source).attr("type") || "").toLowerCase(),
+      urls: parseSrcset($(source).attr("srcset") || $(source).attr("data-srcset"), pageUrl),
+    }));
+    const srcset = parseSrcset($img.attr("srcset") || $img.attr("data-srcset"), pageUrl);
+    const candidates = [...srcset, ...sources.flatMap((source) => source.urls)];
+    const format = getImageFormat(src) || getImageFormat(srcset[0]);
+    const modernSource =
+      sources.some((source) => MODERN_IMAGE_FORMATS.some((f) => source.type === `image/${f}`)) ||
+      candidates.some((url) => MODERN_IMAGE_FORMATS.includes(getImageFormat(url)));
+
+    const style = ($img.attr("style") || "").toLowerCase();
+    const region = getLinkRegion($img);
+    const $link = $img.closest("a[href]");
+    const alt = $img.attr("alt");
+
+    images.push({
+      src,
+      srcset_count: candidates.length,
+      in_picture: $picture.length > 0,
+      alt: alt === undefined ? null : cleanText(alt),
+      decorative: $img.attr("role") === "presentation" || $img.attr("aria-hidden") === "true",
+      linked_without_text: $link.length > 0 && !cleanText($link.text() || ""),
+      width,
+      height,
+      sized_by_css: /(^|;)\s*aspect-ratio\s*:/.test(style) || (/(^|;)\s*width\s*:/.test(style) && /(^|;)\s*height\s*:/.test(style)),
+      loading: ($img.attr("loading") || "").toLowerCase() || null,
+      fetchpriority: ($img.attr("fetchpriority") || "").toLowerCase() || null,
+      format,
+      modern: MODERN_IMAGE_FORMATS.includes(format) || modernSource,
+      above_fold: region !== "footer" && position < ABOVE_FOLD_IMAGES,
+    });
+    if (region !== "footer") position += 1;
+  });
+
+  return images;
+}
+
+/** Issue lists (image URLs) for one page's inventory. bytes/oversized are added by checkImageSizes. */
+function auditImages(images = []) {
+  const audit = { count: images.length };
+  for (const type of IMAGE_ISSUE_TYPES) audit[type] = [];
+  const add = (type, image) => {
+    const label = image.src || "(no src)";
+    if (!audit[type].includes(label)) audit[type].push(label);
+  };
+
+  const altUsage = new Map();
+  for (const image of images) {
+    if (image.alt) {
+      const key = image.alt.toLowerCase();
+      if (!altUsage.has(key)) altUsage.set(key, new Set());
+      altUsage.get(key).add(image.src);
+    }
+  }
+
+  for (const image of images) {
+    // An empty alt marks an image as decorative, which is only wrong when the image is a link's only content
+    if (image.alt === null && !image.decorative) add("missing_alt", image);
+    else if (image.alt === "" && image.linked_without_text) add("empty_alt_linked", image);
+    else if (image.alt && isFilenameLikeAlt(image.alt, image.src)) add("filename_alt", image);
+    else if (image.alt && altUsage.get(image.alt.toLowerCase()).size > 1) add("duplicate_alt", image);
+
+    const inline = image.src?.startsWith("data:");
+    if (!inline && !(image.width && image.height) && !image.sized_by_css) add("missing_dimensions", image);
+    if (image.above_fold && image.loading === "lazy") add("lazy_above_fold", image);
+    if (!inline && LEGACY_IMAGE_FORMATS.includes(image.format) && !image.modern) add("legacy_format", image);
+  }
+
+  return audit;
+}
+
+/** 0–100; each issue costs in proportion to the share of images it affects. 100 when there are no images. */
+function computeImageScore(audit) {
+  if (!audit?.count) return 100;
+  const share = (list = []) => Math.min(1, list.length / audit.count);
+  let score = 100;
+  score -= 30 * share(audit.missing_alt);
+  score -= 10 * share(audit.empty_alt_linked);
+  score -= 10 * share(audit.filename_alt);
+  score -= 5 * share(audit.duplicate_alt);
+  score -= 15 * share(audit.missing_dimensions);
+  score -= audit.lazy_above_fold.length ? 10 : 0;
+  score -= 10 * share(audit.legacy_format);
+  score -= 10 * share(audit.oversized);
+  return clamp(Math.round(score), 0, 100);
+}
+
+// Site totals count image occurrences, so a logo on every page counts once per page
+function registerImageAudit(totals, audit) {
+  totals.pages_with_images += 1;
+  totals.images += audit.count;
+  for (const type of IMAGE_ISSUE_TYPES) {
+    const urls = audit[type] || [];
+    if (!urls.length) continue;
+    totals.issues[type] = (totals.issues[type] || 0) + urls.length;
+    const examples = totals.examples[type] || (totals.examples[type] = []);
+    for (const url of urls) {
+      if (examples.length >= 20) break;
+      if (!examples.includes(url)) examples.push(url);
+    }
+  }
+}
+
+function listImageUrls(urls, limit = 10) {
+  return urls.slice(0, limit).join(", ") + (urls.length > limit ? ` and ${urls.length - limit} more` : "");
+}
+
+function buildImageActions({ imageAudit, pageType }) {
+  if (!imageAudit?.count) return [];
+  const isCommercial = isCommercialPageType(pageType);
+  const actions = [];
+
+  const missingAlt = [...imageAudit.missing_alt, ...imageAudit.empty_alt_linked];
+  if (missingAlt.length) {
+    actions.push(createPageAction({
+      actionType: "add_image_alt_text",
+      titleText: `Add alt text to ${missingAlt.length} image${missingAlt.length > 1 ? "s" : ""}`,
+      summary: "Some images have no alt attribute, or are the only content of a link and have an empty alt.",
+      whyItMatters: "Alt text is how search engines and screen readers understand images, and it is the anchor text of image links.",
+      technicalReason: `Images without usable alt text: ${listImageUrls(missingAlt)}.`,
+      expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
+      steps: [
+        "Describe what each image shows in a short alt attribute.",
+        "Give linked images alt text that describes the link target.",
+        "Use alt=\"\" only for purely decorative images.",
+      ],
+      score: isCommercial ? 58 : 46,
+    }));
+  }
+
+  const weakAlt = [...imageAudit.filename_alt, ...imageAudit.duplicate_alt];
+  if (weakAlt.length) {
+    actions.push(createPageAction({
+      actionType: "improve_image_alt_text",
+      titleText: "Replace file-name and repeated alt text",
+      summary: "Some alt text is a file name or is repeated across different images.",
+      whyItMatters: "Alt text like \"IMG_2041\" or the same phrase on every image tells search engines nothing about each image.",
+      technicalReason: [
+        imageAudit.filename_alt.length && `File-name alt text: ${listImageUrls(imageAudit.filename_alt)}`,
+        imageAudit.duplicate_alt.length && `Alt text shared by different images: ${listImageUrls(imageAudit.duplicate_alt)}`,
+      ].filter(Boolean).join(". ") + ".",
+      expectedImpactRange: "Low-Medium",
+      steps: ["Write alt text describing each image individually."],
+      score: isCommercial ? 42 : 34,
+    }));
+  }
+
+  if (imageAudit.missing_dimensions.length) {
+    actions.push(createPageAction({
+      actionType: "set_image_dimensions",
+      titleText: "Set width and height on images",
+      summary: `${imageAudit.missing_dimensions.length} image${imageAudit.missing_dimensions.length > 1 ? "s have" : " has"} no width and height.`,
+      whyItMatters: "Without dimensions the browser cannot reserve space, so the layout shifts as images load (CLS, a Core Web Vitals metric).",
+      technicalReason: `Images without width/height attributes or a CSS aspect-ratio: ${listImageUrls(imageAudit.missing_dimensions)}.`,
+      expectedImpactRange: "Low-Medium",
+      steps: [
+        "Add width and height attributes matching each image's intrinsic size.",
+        "Keep responsive sizing with CSS (height: auto) or aspect-ratio.",
+      ],
+      score: isCommercial ? 50 : 40,
+    }));
+  }
+
+  if (imageAudit.lazy_above_fold.length) {
+    actions.push(createPageAction({
+      actionType: "remove_lazy_above_fold",
+      titleText: "Load above-the-fold images eagerly",
+      summary: "Images at the top of the page are lazy-loaded.",
+      whyItMatters: "Lazy-loading the hero or first images delays Largest Contentful Paint, a Core Web Vitals metric.",
+      technicalReason: `loading="lazy" on early images: ${listImageUrls(imageAudit.lazy_above_fold)}.`,
+      expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
+      steps: [
+        "Remove loading=\"lazy\" from the first visible images.",
+        "Add fetchpriority=\"high\" to the main hero image.",
+      ],
+      score: isCommercial ? 56 : 44,
+    }));
+  }
+
+  if (imageAudit.legacy_format.length) {
+    actions.push(createPageAction({
+      actionType: "serve_modern_image_formats",
+      titleText: "Serve images as WebP or AVIF",
+      summary: `${imageAudit.legacy_format.length} image${imageAudit.legacy_format.length > 1 ? "s are" : " is"} only available as JPEG, PNG or GIF.`,
+      whyItMatters: "WebP and AVIF are typically 25–50% smaller, so pages load faster on mobile.",
+      technicalReason: `Legacy-format images with no WebP/AVIF alternative: ${listImageUrls(imageAudit.legacy_format)}.`,
+      expectedImpactRange: "Low-Medium",
+      steps: [
+        "Convert images to WebP or AVIF, or enable format conversion in your CDN.",
+        "Use <picture> with a JPEG/PNG fallback if older browsers matter.",
+      ],
+      score: 38,
+    }));
+  }
+
+  return actions;
+}
+
+// ─── HTML extraction ─────────────────────────────────────────────────────────
+
+// Parse an HTTP Link header into [{ url, rel: [...], params: { hreflang, ... } }]
+function parseLinkHeader(value) {
+  const entries = [];
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+
+  for (const headerValue of values) {
+    for (const match of headerValue.matchAll(/<([^>]*)>([^<]*)/g)) {
+      const params = {};
+      for (const part of match[2].split(";")) {
+        const [key, ...rest] = part.split("=");
+        const name = key.trim().toLowerCase();
+        if (!name || !rest.length) continue;
+        params[name] = rest.join("=").trim().replace(/,\s*$/, "").replace(/^"|"$/g, "");
+      }
+      entries.push({
+        url: match[1].trim(),
+        rel: (params.rel || "").toLowerCase().split(/\s+/).filter(Boolean),
+        params,
+      });
+    }
+  }
+
+  return entries;
+}
+
+function extractSeoData(html, url, statusCode, contentType, loadMs, depth, scope, headers = {}) {
+  const $ = cheerio.load(html || "");
+
+  const title = cleanText($("title").first().text() || "");
+  const metaDescription = cleanText(
+    $('meta[name="description"]').attr("content") || ""
+  );
+  const canonicalTags = collectCanonicalTags($, url, headers);
+  const canonical = pickCanonical(canonicalTags);
+  const canonicalUrl = canonical?.href || null;
+  const canonicalIssues = detectCanonicalIssues(url, canonicalTags);
+  const hreflangLinks = collectHreflangLinks($, url, headers);
+
+  const h1Elements = $("h1");
+  const h1Count = h1Elements.length;
+  const h1Text = cleanText(h1Elements.first().text() || "");
+  const headingOutline = extractHeadingOutline($);
+  const headingFindings = analyseHeadingOutline(headingOutline, title);
+
+  // Meta tags and X-Robots-Tag merged per crawler; an expired unavailable_after counts as noindex
+  const robots = extractRobotsDirectives($, headers);
+  const robotsMeta = robots.metaRobots;
+  const robotsDirectives = robots.effective;
+  const noindex = robotsDirectives.noindex || robotsDirectives.expired;
+  const indexable = statusCode >= 200 && statusCode < 300 && !noindex;
+
+  const structuredData = extractStructuredData($);
+  const schemaTypes = collectSchemaTypes(structuredData.entities);
+  // Nested entities (a review's author, an offer's seller) say nothing about what the page is
+  const topLevelSchemaTypes = [...new Set(structuredData.entities.flatMap(schemaTypesOf))];
+  const schemaFindings = validateStructuredData(structuredData);
+  const images = extractImages($, url);
+  const socialMeta = extractSocialMeta($);
+
+  // Remove script/style/noscript before extracting text so NL API gets clean prose
+  const $body = $("body").clone();
+  $body.find("script, style, noscript, [aria-hidden='true']").remove();
+  const bodyText = cleanText($body.text() || "");
+  const bodyWordCount = countWords(bodyText);
+  // Word counts and the NL snippet come from the main content; addresses often sit in the footer
+  const mainContent = extractMainContent($, $body);
+  const wordCount = countWords(mainContent.text);
+  const boilerplateRatio = bodyWordCount ? Math.round((1 - wordCount / bodyWordCount) * 1000) / 1000 : 0;
+  const locationSignals = extractLocationSignals(bodyText);
+  const bodyTextSnippet = mainContent.text.slice(0, 5000);
+  const contentFingerprint = computeContentFingerprint(bodyText);
+  // Soft-404 matching compares main content, and short pages still get a signature
+  const mainFingerprint = computeContentFingerprint(mainContent.text, { minWords: SHINGLE_SIZE });
+
+  const pageType = classifyPageTypeFromSignals({
+    url,
+    title,
+    h1Text,
+    bodyText: bodyText.slice(0, 2000),
+    schemaTypes: topLevelSchemaTypes,
+  });
+
+  // Collect unique internal links; same-site links outside the crawl scope are kept aside
+  // Every in-scope anchor is also kept as a link-graph edge; other sites' links as outbound links
+  const internalLinks = [];
+  const outOfScopeLinks = [];
+  const linkEdges = [];
+  const externalLinks = [];
+  const seenLinks = new Set();
+  const seenEdges = new Set();
+  const seenExternal = new Set();
+  const scopeVerdicts = new Map();
+
+  $("a[href]").each((_, el) => {
+    const href = $(el).attr("href") || "";
+    if (isBadHref(href)) return;
+    const resolved = safeUrl(href, url);
+    if (!resolved) return;
+    if (resolved.protocol !== "http:" && resolved.protocol !== "https:") return;
+    const normalized = normalizeScopedUrl(scope, resolved.toString());
+    if (!normalized) return;
+    if (!scopeVerdicts.has(normalized)) scopeVerdicts.set(normalized, evaluateScope(scope, normalized));
+    const verdict = scopeVerdicts.get(normalized);
+    const firstSeen = !seenLinks.has(normalized);
+    seenLinks.add(normalized);
+    const anchorText = cleanText($(el).text() || "") || cleanText($(el).find("img[alt]").first().attr("alt") || "");
+    const rel = ($(el).attr("rel") || "").toLowerCase().split(/\s+/);
+
+    if (verdict.rule === "external") {
+      resolved.hash = "";
+      const external = {
+        url: resolved.toString(),
+        anchor: anchorText.slice(0, 200),
+        nofollow: rel.includes("nofollow") || robotsDirectives.nofollow,
+        sponsored: rel.includes("sponsored"),
+        ugc: rel.includes("ugc"),
+      };
+      const externalKey = `${external.url}|${external.nofollow}|${external.sponsored}|${external.ugc}`;
+      if (!seenExternal.has(externalKey) && externalLinks.length < EXTERNAL_LINKS_PER_PAGE) {
+        seenExternal.add(externalKey);
+        externalLinks.push(external);
+      }
+      return;
+    }
+    if (!verdict.inScope) {
+      if (firstSeen) outOfScopeLinks.push({ url: normalized, rule: verdict.rule });
+      return;
+    }
+
+    const edge = {
+      target: normalized,
+      anchor: anchorText.slice(0, 200),
+      nofollow: rel.includes("nofollow") || robotsDirectives.nofollow,
+      region: getLinkRegion($(el)),
+    };
+    const edgeKey = `${edge.target}|${edge.anchor}|${edge.nofollow}|${edge.region}`;
+    if (!seenEdges.has(edgeKey) && linkEdges.length < LINK_EDGES_PER_PAGE) {
+      seenEdges.add(edgeKey);
+      linkEdges.push(edge);
+    }
+
+    if (!firstSeen) return;
+    internalLinks.push({
+      url: normalized,
+      anchorText,
+    });
+  });
+
+  return {
+    title,
+    metaDescription,
+    canonicalUrl,
+    canonicalResolved: canonical?.resolved || null,
+    canonicalTags,
+    canonicalIssues,
+    hreflangLinks,
+    h1Count,
+    h1Text,
+    headingOutline,
+    headingFindings,
+    wordCount,
+    bodyWordCount,
+    boilerplateRatio,
+    mainContentMethod: mainContent.method,
+    contentBlocks: mainContent.blocks,
+    robotsMeta,
+    xRobotsTag: robots.xRobotsTag,
+    robotsDirectives,
+    robotsDirectivesByAgent: robots.byAgent,
+    noindex,
+    indexable,
+    schemaTypes,
+    structuredData: compactStructuredData(structuredData.entities),
+    schemaFindings,
+    images,
+    imageAudit: auditImages(images),
+    socialMeta,
+    socialPreview: buildSocialPreview(socialMeta, { url, title, metaDescription, canonicalResolved: canonical?.resolved || null }),
+    socialFindings: validateSocialMeta(socialMeta, { url, canonicalResolved: canonical?.resolved || null }),
+    pageType,
+    internalLinks,
+    linkEdges,
+    externalLinks,
+    outOfScopeLinks,
+    statusCode,
+    contentType,
+    loadMs,
+    locationSignals,
+    bodyTextSnippet,
+    contentFingerprint,
+    textMinhash: mainFingerprint?.minhash || null,
+  };
+}
+
+// ─── Canonical validation ────────────────────────────────────────────────────
+
+function evaluateCanonicalOk(finalUrl, canonicalUrl) {
+  // No canonical tag is not inherently wrong
+  if (!canonicalUrl) return true;
+
+  const normalFinal = normalizeUrl(finalUrl) || finalUrl;
+  const normalCanonical = resolveHref(canonicalUrl, finalUrl) || canonicalUrl;
+  return normalFinal === normalCanonical;
+}
+
+function resolveHref(href, pageUrl) {
+  const resolved = safeUrl(href, pageUrl);
+  if (!resolved || (resolved.protocol !== "http:" && resolved.protocol !== "https:")) return null;
+  return normalizeUrl(resolved.toString());
+}
+
+// Every canonical declaration on a page: <link> tags (wherever they sit) and the Link header
+function collectCanonicalTags($, pageUrl, headers = {}) {
+  const tags = [];
+
+  if ($) {
+    $("link[rel]").each((_, el) => {
+      const rel = ($(el).attr("rel") || "").toLowerCase().split(/\s+/);
+      if (!rel.includes("canonical")) return;
+      const href = ($(el).attr("href") || "").trim();
+      tags.push({
+        href,
+        resolved: resolveHref(href, pageUrl),
+        source: $(el).closest("body").length > 0 ? "body" : "head",
+      });
+    });
+  }
+
+  for (const link of parseLinkHeader(headers.link)) {
+    if (!link.rel.includes("canonical")) continue;
+    tags.push({ href: link.url, resolved: resolveHref(link.url, pageUrl), source: "header" });
+  }
+
+  return tags;
+}
+
+// Search engines ignore canonicals in <body>, so those only count when nothing else exists
+function pickCanonical(tags) {
+  return tags.find((tag) => tag.source !== "body" && tag.resolved) || tags.find((tag) => tag.resolved) || null;
+}
+
+function detectCanonicalIssues(pageUrl, tags) {
+  const issues = [];
+  const distinct = new Set(tags.map((tag) => tag.resolved).filter(Boolean));
+  if (distinct.size > 1) issues.push("multiple_canonicals");
+  if (tags.some((tag) => tag.source === "body")) issues.push("canonical_in_body");
+
+  const canonical = pickCanonical(tags);
+  const pageHost = safeUrl(pageUrl)?.hostname;
+  const canonicalHost = canonical ? safeUrl(canonical.resolved)?.hostname : null;
+  if (pageHost && canonicalHost && stripWww(pageHost) !== stripWww(canonicalHost)) {
+    issues.push("cross_domain_canonical");
+  }
+
+  return issues;
+}
+
+// ─── Database helpers ────────────────────────────────────────────────────────
+
+async function getOrCreatePage({ siteId, url, pageType }) {
+  // Try existing first
+  const { data: existing } = await supabase
+    .from("scc_pages")
+    .select("id")
+    .eq("site_id", siteId)
+    .eq("url", url)
+    .maybeSingle();
+
+  if (existing?.id) {
+    await supabase
+      .from("scc_pages")
+      .update({ page_type: pageType, last_seen_at: nowIso() })
+      .eq("id", existing.id);
+    return existing.id;
+  }
+
+  const { data, error } = await supabase
+    .from("scc_pages")
+    .insert({
+      site_id: siteId,
+      url,
+      page_type: pageType,
+      first_seen_at: nowIso(),
+      last_seen_at: nowIso(),
+    })
+    .select("id")
+    .single();
+
+  if (error) {
+    // A concurrent fetch may have just created it (e.g. two URLs redirecting to one page)
+    if (error.code === "23505") {
+      const { data: raced } = await supabase
+        .from("scc_pages")
+        .select("id")
+        .eq("site_id", siteId)
+        .eq("url", url)
+        .maybeSingle();
+      if (raced?.id) return raced.id;
+    }
+    throw new Error(`getOrCreatePage failed: ${error.message}`);
+  }
+  return data.id;
+}
+
+async function upsertPageSnapshotCrawl({ snapshotId, pageId, crawlRow }) {
+  const { error } = await supabase
+    .from("scc_page_snapshot_crawl")
+    .upsert(
+      { snapshot_id: snapshotId, page_id: pageId, ...crawlRow },
+      { onConflict: "snapshot_id,page_id" }
+    );
+
+  if (error) {
+    console.error(`[upsertPageSnapshotCrawl] page=${pageId}`, error.message);
+  }
+}
+
+async function upsertPageSnapshotMetrics({ snapshotId, pageId, metricsRow }) {
+  const { error } = await supabase
+    .from("scc_page_snapshot_metrics")
+    .upsert(
+      { snapshot_id: snapshotId, page_id: pageId, ...metricsRow },
+      { onConflict: "snapshot_id,page_id" }
+    );
+
+  if (error) {
+    console.error(`[upsertPageSnapshotMetrics] page=${pageId}`, error.message);
+  }
+}
+
+async function replaceActions({ snapshotId, pageId, actions }) {
+  // Clear previous actions for this page in this snapshot
+  const { error: deleteError } = await supabase
+    .from("scc_actions")
+    .delete()
+    .eq("snapshot_id", snapshotId)
+    .eq("page_id", pageId);
+
+  if (deleteError) {
+    console.error(`[replaceActions delete] page=${pageId}`, deleteError.message);
+    return;
+  }
+
+  if (!actions.length) return;
+
+  const rows = actions.map((action) => toActionRow(snapshotId, pageId, action));
+
+  const { error: insertError } = await supabase
+    .from("scc_actions")
+    .insert(rows);
+
+  if (insertError) {
+    console.error(`[replaceActions insert] page=${pageId}`, insertError.message);
+  }
+}
+
+function toActionRow(snapshotId, pageId, action) {
+  return {
+    snapshot_id:           snapshotId,
+    page_id:               pageId,
+    action_type:           action.action_type,
+    title:                 action.title,
+    summary:               action.summary,
+    why_it_matters:        action.why_it_matters,
+    technical_reason:      action.technical_reason,
+    expected_impact_range: action.expected_impact_range,
+    steps:                 action.steps,
+    severity:              action.severity,
+    priority:              action.priority,
+    status:                "pending",
+  };
+}
+
+// Post-crawl checks add page actions next to the ones written during the crawl
+async function appendActions({ snapshotId, pageId, actions }) {
+  if (!actions.length) return;
+
+  const rows = actions.map(({ _sortScore, ...action }) => toActionRow(snapshotId, pageId, action));
+  const { error } = await supabase.from("scc_actions").insert(rows);
+
+  if (error) {
+    console.error(`[appendActions] page=${pageId}`, error.message);
+  }
+}
+
+// Clears post-crawl action types first so a resumed or re-run pass does not duplicate them
+async function deletePageActionsOfTypes(snapshotId, actionTypes, pageId = null) {
+  let query = supabase
+    .from("scc_actions")
+    .delete()
+    .eq("snapshot_id", snapshotId)
+    .not("page_id", "is", null)
+    .in("action_type", actionTypes);
+  if (pageId) query = query.eq("page_id", pageId);
+  const { error } = await query;
+
+  if (error) {
+    console.error(`[deletePageActionsOfTypes] snapshot=${snapshotId}`, error.message);
+  }
+}
+
+async function loadSnapshotRows(table, snapshotId, columns) {
+  const rows = [];
+  const pageSize = 1000;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .eq("snapshot_id", snapshotId)
+      .order("page_id", { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) {
+      console.error(`[loadSnapshotRows] ${table} snapshot=${snapshotId}`, error.message);
+      break;
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+
+  return rows;
+}
+
+async function loadSnapshotCrawlRows(snapshotId, columns) {
+  return loadSnapshotRows("scc_page_snapshot_crawl", snapshotId, columns);
+}
+
+async function loadSnapshotMetricsRows(snapshotId, columns) {
+  return loadSnapshotRows("scc_page_snapshot_metrics", snapshotId, columns);
+}
+
+async function generateSiteWideActions(snapshotId, summaryState) {
+  const { pages_crawled, page_type_counts, issues, score_lists } = summaryState;
+  if (!pages_crawled || pages_crawled === 0) return;
+
+  const actions = [];
+  const avgStructural = avg(score_lists.structural);
+  const pct = (n) => Math.round((n / pages_crawled) * 100);
+
+  if (issues.missing_meta_descriptions > 0) {
+    const p = pct(issues.missing_meta_descriptions);
+    actions.push({
+      action_type: "site_missing_meta_descriptions",
+      title: `${issues.missing_meta_descriptions} of ${pages_crawled} pages missing meta descriptions`,
+      severity: p >= 50 ? "high" : "medium",
+      why_it_matters: "Meta descriptions influence click-through rates from search results. Missing them means Google auto-generates snippets, often poorly.",
+      technical_reason: `${p}% of crawled pages have no meta description tag.`,
+      expected_impact_range: p >= 50 ? "High" : "Medium-High",
+      steps: [
+        "Audit all pages missing meta descriptions.",
+        "Write unique, keyword-rich descriptions of 120–160 characters for each.",
+        "Prioritise your highest-traffic and highest-opportunity pages first.",
+      ],
+    });
+  }
+
+  if (issues.missing_h1s > 0) {
+    const p = pct(issues.missing_h1s);
+    actions.push({
+      action_type: "site_missing_h1s",
+      title: `${issues.missing_h1s} of ${pages_crawled} pages missing H1 tags`,
+      severity: p >= 50 ? "high" : "medium",
+      why_it_matters: "H1 tags are the strongest on-page relevance signal. Missing H1s weaken topical clarity for search engines.",
+      technical_reason: `${p}% of crawled pages have no H1 element.`,
+      expected_impact_range: "Medium",
+      steps: [
+        "Add a single, descriptive H1 to every page.",
+        "Make the H1 reflect the primary keyword or topic of the page.",
+        "Ensure H1 is distinct from the title tag but complementary.",
+      ],
+    });
+  }
+
+  if (issues.non_indexable_pages > 0 && issues.non_indexable_pages < pages_crawled) {
+    actions.push({
+      action_type: "site_non_indexable_pages",
+      title: `${issues.non_indexable_pages} page${issues.non_indexable_pages > 1 ? "s" : ""} blocked from indexing`,
+      severity: "high",
+      why_it_matters: "Non-indexable pages are invisible to search engines and generate zero organic traffic.",
+      technical_reason: "These pages have noindex directives or canonical tags pointing elsewhere.",
+      expected_impact_range: "High",
+      steps: [
+        "Review each non-indexable page and confirm it should be blocked.",
+        "For pages that should rank, remove noindex tags and fix canonical issues.",
+        "Submit corrected pages to Google Search Console for re-indexing.",
+      ],
+    });
+  }
+
+  if (issues.thin_content_pages >= 2) {
+    const p = pct(issues.thin_content_pages);
+    actions.push({
+      action_type: "site_thin_content",
+      title: `${issues.thin_content_pages} pages have thin content`,
+      severity: p >= 50 ? "high" : "medium",
+      why_it_matters: "Thin content dilutes topical authority and suppresses rankings across your whole site, not just the thin pages.",
+      technical_reason: `${p}% of crawled pages fall below the word-count threshold for their page type.`,
+      expected_impact_range: "Medium-High",
+      steps: [
+        "Identify thin pages and decide: expand, consolidate, or noindex.",
+        "Prioritise expanding content on commercial and service pages first.",
+        "Consider merging thin related pages into comprehensive hub pages.",
+      ],
+    });
+  }
+
+  if (avgStructural < 40 && pages_crawled >= 2) {
+    actions.push({
+      action_type: "site_low_structural",
+      title: `Site-wide structural SEO is weak (avg score: ${avgStructural}/100)`,
+      severity: "high",
+      why_it_matters: "Structural SEO is the foundation. A low average score indicates systemic technical debt that suppresses all pages simultaneously.",
+      technical_reason: `Average structural score across ${pages_crawled} pages is ${avgStructural}/100.`,
+      expected_impact_range: "High",
+      steps: [
+        "Work through the per-page recommendations starting with highest-opportunity pages.",
+        "Fix missing titles and meta descriptions across all pages.",
+        "Ensure every page has a clear H1 and proper heading hierarchy.",
+        "Improve internal linking so all key pages are reachable within 2 clicks from the homepage.",
+      ],
+    });
+  }
+
+  if (issues.js_dependent_pages > 0) {
+    const p = pct(issues.js_dependent_pages);
+    actions.push({
+      action_type: "site_js_dependent_content",
+      title: `${issues.js_dependent_pages} page${issues.js_dependent_pages > 1 ? "s" : ""} rely on JavaScript for key content`,
+      severity: p >= 50 ? "high" : "medium",
+      why_it_matters: "Content that only exists after JavaScript runs is indexed later and less reliably than content in the server HTML.",
+      technical_reason: `${p}% of crawled pages are missing their title, H1 or most of their copy in the raw HTML response.`,
+      expected_impact_range: p >= 50 ? "High" : "Medium-High",
+      steps: [
+        "Enable server-side rendering or static generation for public pages.",
+        "Prioritise commercial pages where the H1 or copy is JavaScript-only.",
+        "Verify fixes by fetching pages with JavaScript disabled.",
+      ],
+    });
+  }
+
+  if (issues.schema_error_pages > 0) {
+    const p = pct(issues.schema_error_pages);
+    actions.push({
+      action_type: "site_schema_errors",
+      title: `${issues.schema_error_pages} page${issues.schema_error_pages > 1 ? "s" : ""} have structured data errors`,
+      severity: p >= 30 ? "high" : "medium",
+      why_it_matters: "Invalid or incomplete structured data makes pages ineligible for rich results such as product prices, review stars, FAQs and breadcrumbs.",
+      technical_reason: `${p}% of crawled pages have JSON-LD or microdata that fails to parse or lacks required properties. Each page's "Fix structured data errors" action lists the exact property paths.`,
+      expected_impact_range: "Medium",
+      steps: [
+        "Fix the shared templates first, since one template usually accounts for most errors.",
+        "Fill in the required properties named in the per-page actions.",
+        "Re-validate representative pages with Google's Rich Results Test.",
+      ],
+    });
+  }
+
+  const sitemap = summaryState.sitemap || {};
+  const listUrls = (items) => items.slice(0, 10).map((item) => item.url || item).join(", ");
+
+  if ((sitemap.non_200 || []).length > 0) {
+    const count = sitemap.non_200.length;
+    actions.push({
+      action_type: "site_sitemap_non_200_urls",
+      title: `${count} sitemap URL${count > 1 ? "s" : ""} do not return HTTP 200`,
+      severity: count >= 3 ? "high" : "medium",
+      why_it_matters: "Sitemaps should only list live, final URLs. Errors and redirects in the sitemap waste crawl budget and erode trust in the file.",
+      technical_reason: `Listed URLs that errored or redirected when crawled: ${listUrls(sitemap.non_200)}.`,
+      expected_impact_range: "Medium",
+      steps: [
+        "Remove deleted URLs from the sitemap.",
+        "Replace redirecting URLs with their final destination.",
+        "Regenerate the sitemap automatically from the CMS so it stays in sync.",
+      ],
+    });
+  }
+
+  if ((sitemap.noindex || []).length > 0) {
+    const count = sitemap.noindex.length;
+    actions.push({
+      action_type: "site_sitemap_noindex_urls",
+      title: `${count} sitemap URL${count > 1 ? "s are" : " is"} marked noindex`,
+      severity: "high",
+      why_it_matters: "Listing a page in the sitemap asks search engines to index it, while noindex tells them not to. The conflict usually means a page that should rank is blocked.",
+      technical_reason: `Listed URLs carrying a noindex directive: ${listUrls(sitemap.noindex)}.`,
+      expected_impact_range: "High",
+      steps: [
+        "Decide whether each page should be indexed.",
+        "Remove noindex from pages that should rank.",
+        "Remove intentionally noindexed pages from the sitemap.",
+      ],
+    });
+  }
+
+  if ((sitemap.canonicalised || []).length > 0) {
+    const count = sitemap.canonicalised.length;
+    actions.push({
+      action_type: "site_sitemap_canonicalised_urls",
+      title: `${count} sitemap URL${count > 1 ? "s" : ""} canonicalise to a different page`,
+      severity: "medium",
+      why_it_matters: "Sitemaps should list canonical URLs only. Non-canonical entries send mixed signals about which version should rank.",
+      technical_reason: `Listed URLs whose canonical points elsewhere: ${listUrls(sitemap.canonicalised)}.`,
+      expected_impact_range: "Medium",
+      steps: [
+        "Replace each entry with the URL its canonical tag points to.",
+        "Or fix the canonical tag if the listed URL is the preferred version.",
+      ],
+    });
+  }
+
+  const crawlTraps = summaryState.crawl_traps || {};
+
+  if (crawlTraps.suppressed_count > 0) {
+    const trapLabels = {
+      session_id: "session IDs in URLs",
+      repeating_path: "repeating or endlessly nested path segments",
+      param_permutation: "the same parameters in a different order",
+      param_explosion: "too many parameter combinations on one path",
+      calendar: "calendar pages that page on forever",
+      family_ceiling: "one URL family producing an outsized number of URLs",
+    };
+    const details = Object.entries(crawlTraps.by_type)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${trapLabels[type] || type}: ${count} (e.g. ${(crawlTraps.examples[type] || []).slice(0, 3).join(", ")})`)
+      .join("; ");
+    actions.push({
+      action_type: "site_crawl_traps",
+      title: `${crawlTraps.suppressed_count} crawl-trap URL${crawlTraps.suppressed_count > 1 ? "s" : ""} wasting crawl budget`,
+      severity: crawlTraps.suppressed_count >= 50 ? "high" : "medium",
+      why_it_matters: "Search engines spend a limited crawl budget on every site. Endless URL variations use it up and slow down discovery of the pages that matter.",
+      technical_reason: `Suppressed from the crawl frontier — ${details}.`,
+      expected_impact_range: crawlTraps.suppressed_count >= 50 ? "Medium-High" : "Medium",
+      steps: [
+        "Keep session IDs out of URLs and store them in cookies.",
+        "Link to one canonical order of filter and sort parameters, and canonicalise the rest.",
+        "Add nofollow or robots.txt rules for faceted filters and calendar paging that do not need indexing.",
+        "Fix relative links that produce repeating path segments.",
+      ],
+    });
+  }
+
+  const hreflang = summaryState.hreflang || {};
+  const hreflangIssueCount = Object.values(hreflang.issues || {}).reduce((sum, count) => sum + count, 0);
+
+  if (hreflangIssueCount > 0) {
+    const issueLabels = {
+      fix_hreflang_codes: "invalid language/region codes",
+      add_hreflang_self_reference: "missing self-reference",
+      add_hreflang_x_default: "missing x-default",
+      fix_hreflang_return_links: "missing return links",
+      fix_hreflang_alternate_targets: "alternates that redirect, error, are noindex or canonicalised",
+    };
+    const affectedPages = new Set(Object.values(hreflang.examples || {}).flat()).size;
+    const details = Object.entries(hreflang.issues)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${issueLabels[type] || type}: ${count} page${count > 1 ? "s" : ""} (e.g. ${(hreflang.examples[type] || []).slice(0, 3).join(", ")})`)
+      .join("; ");
+    const severe = (hreflang.issues.fix_hreflang_return_links || 0) + (hreflang.issues.fix_hreflang_codes || 0) > 0;
+    actions.push({
+      action_type: "site_hreflang_issues",
+      title: `hreflang errors across ${hreflang.clusters} language cluster${hreflang.clusters === 1 ? "" : "s"}`,
+      severity: severe ? "high" : "medium",
+      why_it_matters: "Broken hreflang makes search engines ignore your language and regional versions, so searchers may land on the wrong one.",
+      technical_reason: `${hreflang.pages_with_hreflang} pages carry hreflang, at least ${affectedPages} with errors — ${details}.`,
+      expected_impact_range: severe ? "Medium-High" : "Medium",
+      steps: [
+        "Generate hreflang for every language version from one shared mapping.",
+        "Use ISO 639-1 language and ISO 3166-1 region codes, plus an x-default.",
+        "Make every page list itself and every alternate, and make alternates list it back.",
+        "Point alternates only at live, indexable, self-canonical URLs.",
+      ],
+    });
+  }
+
+  const duplicates = summaryState.duplicates || {};
+  const duplicateClusters = (duplicates.clusters || []).filter((cluster) => cluster.unresolved > 0);
+
+  if (duplicateClusters.length > 0) {
+    const affected = duplicateClusters.reduce((sum, cluster) => sum + cluster.size, 0);
+    const details = duplicateClusters
+      .slice(0, 10)
+      .map((cluster) => {
+        const label = cluster.type === "exact" ? "identical" : `${Math.round(cluster.similarity * 100)}% similar`;
+        const others = cluster.urls.filter((url) => url !== cluster.suggested_canonical);
+        const more = cluster.size - 1 - Math.min(others.length, 3);
+        return `${label}: ${others.slice(0, 3).join(", ")}${more > 0 ? ` (+${more} more)` : ""} → canonical ${cluster.suggested_canonical}`;
+      })
+      .join("; ");
+    actions.push({
+      action_type: "site_duplicate_content",
+      title: `${duplicateClusters.length} group${duplicateClusters.length > 1 ? "s" : ""} of duplicate content across ${affected} pages`,
+      severity: affected >= 10 ? "high" : "medium",
+      why_it_matters: "When several URLs carry the same content, search engines pick one to rank on their own and split links and signals across the rest.",
+      technical_reason: `Pages with identical or near-identical body text (similarity threshold ${Math.round(duplicates.threshold * 100)}%) — ${details}.`,
+      expected_impact_range: affected >= 10 ? "Medium-High" : "Medium",
+      steps: [
+        "Point the canonical tag of each duplicate at the suggested canonical URL.",
+        "Redirect duplicates that serve no separate purpose to the canonical URL.",
+        "Rewrite near-duplicates that should rank on their own so each targets a distinct topic.",
+        "Link internally to the canonical URL only.",
+      ],
+    });
+  }
+
+  const brokenLinks = summaryState.broken_links || {};
+
+  if (brokenLinks.links > 0) {
+    const shown = brokenLinks.list.slice(0, 100);
+    const listed = shown
+      .map((link) => `${link.source} → ${link.target} (${link.status}; ${link.anchors.map((a) => `"${a || "no text"}"`).join(", ")})`)
+      .join("; ");
+    actions.push({
+      action_type: "site_broken_internal_links",
+      title: `${brokenLinks.links} internal link${brokenLinks.links > 1 ? "s" : ""} point to ${brokenLinks.targets} broken URL${brokenLinks.targets > 1 ? "s" : ""}`,
+      severity: brokenLinks.targets >= 3 || brokenLinks.links >= 10 ? "high" : "medium",
+      why_it_matters: "Broken internal links frustrate visitors, waste crawl budget and drop the ranking signals they would otherwise pass.",
+      technical_reason: `Linked from ${brokenLinks.sources} page${brokenLinks.sources > 1 ? "s" : ""}: ${listed}${brokenLinks.links > shown.length ? `; and ${brokenLinks.links - shown.length} more` : ""}.`,
+      expected_impact_range: "Medium-High",
+      steps: [
+        "Work through the source pages and update each link to a live URL.",
+        "Fix shared navigation and footer links first, since they repeat on every page.",
+        "Restore or redirect broken URLs that are still linked widely.",
+      ],
+    });
+  }
+
+  const external = summaryState.external_links || {};
+
+  if ((external.flagged_domains || []).length > 0) {
+    actions.push({
+      action_type: "site_flagged_outbound_domains",
+      title: `Links to ${external.flagged_domains.length} unsafe domain${external.flagged_domains.length > 1 ? "s" : ""}`,
+      severity: "high",
+      why_it_matters: "Linking to sites flagged for malware or phishing puts visitors at risk and can get your own site flagged as unsafe.",
+      technical_reason: `Domains flagged by Google Web Risk: ${external.flagged_domains.join(", ")}. Each linking page has its own action.`,
+      expected_impact_range: "High",
+      steps: [
+        "Remove every link to these domains.",
+        "Check for injected links or spam comments, which often cause this.",
+      ],
+    });
+  }
+
+  if ((external.broken || []).length > 0) {
+    const count = external.broken.length;
+    actions.push({
+      action_type: "site_broken_outbound_links",
+      title: `${count} broken outbound link${count > 1 ? "s" : ""}`,
+      severity: count >= 10 ? "medium" : "low",
+      why_it_matters: "Dead outbound links frustrate visitors and make content look out of date.",
+      technical_reason: `External URLs that are gone, erroring or unreachable: ${external.broken.slice(0, 20).join(", ")}${count > 20 ? ` and ${count - 20} more` : ""}.`,
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Update each link to the resource's current URL or an alternative.",
+        "Remove links with no replacement.",
+      ],
+    });
+  }
+
+  if ((external.excessive_pages || []).length > 0) {
+    const count = external.excessive_pages.length;
+    actions.push({
+      action_type: "site_excessive_outbound_links",
+      title: `${count} page${count > 1 ? "s have" : " has"} unusually many followed outbound links`,
+      severity: "medium",
+      why_it_matters: "Pages with large numbers of followed outbound links can look like link schemes to search engines.",
+      technical_reason: `More than ${EXCESSIVE_OUTBOUND_LINKS} followed outbound links: ${external.excessive_pages.slice(0, 10).map((page) => `${page.url} (${page.followed})`).join(", ")}.`,
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Trim outbound links that add nothing for visitors.",
+        "Mark paid and affiliate links rel=\"sponsored\" and user-generated links rel=\"ugc\".",
+      ],
+    });
+  }
+
+  const imageTotals = summaryState.images || {};
+  const imageIssues = imageTotals.issues || {};
+  const imageExamples = imageTotals.examples || {};
+
+  const missingAltCount = (imageIssues.missing_alt || 0) + (imageIssues.empty_alt_linked || 0);
+  if (missingAltCount > 0) {
+    const examples = [...(imageExamples.missing_alt || []), ...(imageExamples.empty_alt_linked || [])];
+    actions.push({
+      action_type: "site_images_missing_alt",
+      title: `${missingAltCount} image${missingAltCount > 1 ? "s" : ""} without alt text`,
+      severity: missingAltCount >= 20 ? "medium" : "low",
+      why_it_matters: "Images without alt text are invisible to image search and screen readers, and linked images without it pass no anchor text.",
+      technical_reason: `Examples: ${listImageUrls(examples, 20)}. Each page has its own action.`,
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Add descriptive alt text in the CMS media library so it is reused everywhere.",
+        "Make alt text required for new uploads.",
+      ],
+    });
+  }
+
+  if ((imageIssues.missing_dimensions || 0) > 0 || (imageIssues.lazy_above_fold || 0) > 0) {
+    const examples = [...(imageExamples.lazy_above_fold || []), ...(imageExamples.missing_dimensions || [])];
+    actions.push({
+      action_type: "site_image_loading_issues",
+      title: "Images are hurting Core Web Vitals",
+      severity: (imageIssues.lazy_above_fold || 0) >= 5 ? "medium" : "low",
+      why_it_matters: "Images without dimensions cause layout shift (CLS) and lazy-loaded hero images delay Largest Contentful Paint.",
+      technical_reason: `${imageIssues.missing_dimensions || 0} image${imageIssues.missing_dimensions === 1 ? "" : "s"} without width/height, ${imageIssues.lazy_above_fold || 0} lazy-loaded above the fold. Examples: ${listImageUrls(examples, 20)}.`,
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Output width and height attributes from the image component or theme.",
+        "Skip lazy-loading for the first images in each template.",
+      ],
+    });
+  }
+
+  if ((imageIssues.legacy_format || 0) > 0 || (imageTotals.oversized || []).length > 0) {
+    const oversized = imageTotals.oversized || [];
+    actions.push({
+      action_type: "site_image_weight",
+      title: "Serve lighter images",
+      severity: oversized.length >= 10 ? "medium" : "low",
+      why_it_matters: "Heavy images are usually the largest part of page weight and slow down loading, especially on mobile.",
+      technical_reason: [
+        imageIssues.legacy_format && `${imageIssues.legacy_format} JPEG/PNG/GIF images without a WebP/AVIF alternative (e.g. ${listImageUrls(imageExamples.legacy_format || [], 10)})`,
+        oversized.length && `${oversized.length} images over ${Math.round(IMAGE_MAX_BYTES / 1024)} KB: ${oversized.slice(0, 10).map((image) => `${image.url} (${Math.round(image.bytes / 1024)} KB)`).join(", ")}`,
+      ].filter(Boolean).join(". ") + ".",
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Enable automatic WebP/AVIF conversion and resizing in your CDN or image plugin.",
+        "Compress and resize the largest images to their displayed size.",
+      ],
+    });
+  }
+
+  const social = summaryState.social || {};
+  const socialIssues = social.issues || {};
+  const missingOg = Math.max(socialIssues.missing_og_title || 0, socialIssues.missing_og_description || 0, socialIssues.missing_og_image || 0);
+  if (missingOg > 0) {
+    actions.push({
+      action_type: "site_missing_open_graph",
+      title: `${missingOg} page${missingOg > 1 ? "s" : ""} without complete Open Graph tags`,
+      severity: missingOg >= 10 ? "medium" : "low",
+      why_it_matters: "Links to these pages show a bare or guessed preview on LinkedIn, Facebook and Slack, which gets fewer clicks.",
+      technical_reason: `Missing og:title on ${socialIssues.missing_og_title || 0}, og:description on ${socialIssues.missing_og_description || 0} and og:image on ${socialIssues.missing_og_image || 0} pages.`,
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Output og:title, og:description and og:image from the page template, falling back to the title, meta description and a default image.",
+        "Check a few URLs in LinkedIn's Post Inspector.",
+      ],
+    });
+  }
+
+  if ((social.broken_images || []).length > 0 || (social.small_images || []).length > 0) {
+    const broken = social.broken_images || [];
+    const small = social.small_images || [];
+    actions.push({
+      action_type: "site_social_image_issues",
+      title: broken.length ? `${broken.length} share image${broken.length > 1 ? "s" : ""} fail to load` : "Share images are below the recommended size",
+      severity: broken.length ? "medium" : "low",
+      why_it_matters: "Broken or small og:images make shared links look unprofessional and reduce clicks from social posts.",
+      technical_reason: [
+        broken.length && `Not loading: ${broken.slice(0, 10).join(", ")}`,
+        small.length && `Below ${SOCIAL_IMAGE_RECOMMENDED.width}×${SOCIAL_IMAGE_RECOMMENDED.height}: ${small.slice(0, 10).map((image) => `${image.url} (${image.width}×${image.height})`).join(", ")}`,
+      ].filter(Boolean).join(". ") + ".",
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Replace broken og:image URLs with images that load publicly.",
+        "Export share images at 1200×630 pixels.",
+      ],
+    });
+  }
+
+  if ((summaryState.issues?.soft_404_pages || 0) > 0) {
+    const count = summaryState.issues.soft_404_pages;
+    const examples = (summaryState.soft_404_urls || []).slice(0, 10);
+    actions.push({
+      action_type: "site_soft_404_pages",
+      title: `${count} soft 404 page${count > 1 ? "s" : ""} return HTTP 200`,
+      severity: count >= 10 ? "high" : "medium",
+      why_it_matters: "Error pages that return 200 get crawled and evaluated as thin content, wasting crawl budget and lowering perceived site quality.",
+      technical_reason: `Pages matching the site's not-found template or error wording: ${examples.join(", ")}${count > examples.length ? ` and ${count - examples.length} more` : ""}.`,
+      expected_impact_range: "Medium",
+      steps: [
+        "Make the CMS or server return 404 (or 410) for missing content instead of 200.",
+        "Redirect removed pages with a clear replacement.",
+        "Remove internal links to URLs that no longer exist.",
+      ],
+    });
+  }
+
+  const linkCoverage = summaryState.link_coverage || {};
+
+  if (linkCoverage.orphan_count > 0) {
+    const count = linkCoverage.orphan_count;
+    const examples = linkCoverage.orphans
+      .slice(0, 10)
+      .map((page) => `${page.url} (${[page.in_sitemap && "sitemap", page.impressions > 0 && `${page.impressions} GSC impressions`, page.crawled === false && "not crawled"].filter(Boolean).join(", ")})`)
+      .join(", ");
+    actions.push({
+      action_type: "site_orphan_pages",
+      title: `${count} orphan page${count > 1 ? "s" : ""} with no internal links`,
+      severity: count >= 5 ? "high" : "medium",
+      why_it_matters: "Pages that nothing links to are crawled rarely and receive no internal ranking signals, even when they are in the sitemap or already earning impressions.",
+      technical_reason: `Pages in the sitemap or Search Console that no crawled page links to: ${examples}${count > 10 ? ` and ${count - 10} more` : ""}.`,
+      expected_impact_range: "Medium-High",
+      steps: [
+        "Link each orphan from its parent category, hub or service page.",
+        "Add contextual links from related content.",
+        "Remove obsolete orphans from the sitemap and redirect them.",
+      ],
+    });
+  }
+
+  if (linkCoverage.under_linked_count > 0) {
+    const count = linkCoverage.under_linked_count;
+    const examples = linkCoverage.under_linked
+      .slice(0, 10)
+      .map((page) => `${page.url} (${page.flags.includes("footer_only_inlinks") ? "footer links only" : `${page.unique_inlinks} linking page${page.unique_inlinks === 1 ? "" : "s"}`})`)
+      .join(", ");
+    actions.push({
+      action_type: "site_under_linked_commercial_pages",
+      title: `${count} commercial page${count > 1 ? "s are" : " is"} weakly linked internally`,
+      severity: count >= 3 ? "high" : "medium",
+      why_it_matters: "Service, product and pricing pages earn most of their ranking signals from internal links. Few links, or footer-only links, hold them back.",
+      technical_reason: `Commercial pages with fewer than ${linkCoverage.min_inlinks} linking pages or only footer links: ${examples}${count > 10 ? ` and ${count - 10} more` : ""}.`,
+      expected_impact_range: "Medium-High",
+      steps: [
+        "Add these pages to the main navigation or to relevant hub pages.",
+        "Link to them in context from articles and case studies with descriptive anchor text.",
+        "Link to the most important ones from the homepage.",
+      ],
+    });
+  }
+
+  const duplicateMetadata = findDuplicateMetadata(summaryState);
+
+  for (const [field, entries] of Object.entries(duplicateMetadata)) {
+    if (!entries.length) continue;
+    const { label, siteActionType } = DUPLICATE_METADATA_FIELDS[field];
+    const affected = entries.reduce((sum, entry) => sum + entry.urls.length, 0);
+    const details = entries
+      .slice(0, 10)
+      .map((entry) => `"${entry.value}" (${entry.urls.length} pages: ${entry.urls.slice(0, 5).join(", ")}${entry.urls.length > 5 ? ", …" : ""})`)
+      .join("; ");
+    actions.push({
+      action_type: siteActionType,
+      title: `${entries.length} ${label}${entries.length > 1 ? "s" : ""} duplicated across ${affected} pages`,
+      severity: field !== "h1" && affected >= 5 ? "high" : "medium",
+      why_it_matters: `Each page needs its own ${label} so search engines and searchers can tell pages apart. Shared values make pages compete for the same queries.`,
+      technical_reason: `Indexable pages sharing the same ${label} — ${details}.`,
+      expected_impact_range: field === "h1" ? "Medium" : "Medium-High",
+      steps: [
+        `Rewrite each shared ${label} so it reflects what is specific to the page.`,
+        "Fix templates that fill in the same default value on many pages.",
+        "Canonicalise or merge pages that genuinely have the same content.",
+      ],
+    });
+  }
+
+  const profiles = summaryState.profiles || {};
+
+  if ((profiles.pages_differing || []).length > 0 && profiles.compare_profile) {
+    const count = profiles.pages_differing.length;
+    const primaryLabel = FETCH_PROFILES[profiles.fetch_profile]?.label || profiles.fetch_profile;
+    const compareLabel = FETCH_PROFILES[profiles.compare_profile]?.label || profiles.compare_profile;
+    const examples = profiles.pages_differing
+      .slice(0, 10)
+      .map((p) => `${p.url} (${p.fields.join(", ")})`)
+      .join(", ");
+    actions.push({
+      action_type: "site_ua_dependent_content",
+      title: `${count} of ${profiles.pages_compared} key pages change by user agent`,
+      severity: count >= 3 ? "high" : "medium",
+      why_it_matters: "When crawlers and visitors get different pages, search engines may treat it as cloaking or index the wrong version.",
+      technical_reason: `${primaryLabel} vs ${compareLabel} differed on: ${examples}.`,
+      expected_impact_range: "High",
+      steps: [
+        "Review User-Agent based rules in the server, CDN, bot protection and personalisation layers.",
+        "Make crawler responses match the visitor version for status, canonical, robots and content.",
+        "Confirm with Search Console URL Inspection, since firewalls may block unverified bot user agents.",
+      ],
+    });
+  }
+
+  const redirects = summaryState.redirects || {};
+
+  if ((redirects.loops || []).length > 0) {
+    const count = redirects.loops.length;
+    actions.push({
+      action_type: "site_redirect_loops",
+      title: `${count} URL${count > 1 ? "s are" : " is"} stuck in a redirect loop`,
+      severity: "high",
+      why_it_matters: "URLs caught in redirect loops never return a page, so neither visitors nor search engines can reach them.",
+      technical_reason: `Looping URLs: ${listUrls(redirects.loops)}.`,
+      expected_impact_range: "High",
+      steps: [
+        "Audit server, CDN and CMS redirect rules for conflicts.",
+        "Send each looping URL to one final destination that returns HTTP 200.",
+      ],
+    });
+  }
+
+  if ((redirects.chains || []).length > 0) {
+    const count = redirects.chains.length;
+    actions.push({
+      action_type: "site_redirect_chains",
+      title: `${count} redirect chain${count > 1 ? "s" : ""} longer than one hop`,
+      severity: count >= 5 ? "high" : "medium",
+      why_it_matters: "Multi-hop redirects slow pages down and leak link equity at every hop.",
+      technical_reason: `URLs with more than one redirect hop: ${listUrls(redirects.chains)}.`,
+      expected_impact_range: "Medium",
+      steps: [
+        "Collapse each chain into a single redirect to the final URL.",
+        "Update legacy redirect rules when URLs move again.",
+      ],
+    });
+  }
+
+  if ((redirects.temporary || []).length > 0) {
+    const count = redirects.temporary.length;
+    actions.push({
+      action_type: "site_temporary_redirects",
+      title: `${count} URL${count > 1 ? "s use" : " uses"} temporary redirects`,
+      severity: "low",
+      why_it_matters: "Where a move is permanent, a temporary redirect can keep the old URL in the index and slow the transfer of ranking signals. Some temporary redirects, such as login or locale redirects, are intended.",
+      technical_reason: `URLs redirected with 302/303/307: ${listUrls(redirects.temporary)}.`,
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Review each temporary redirect and confirm whether the move is permanent.",
+        "Switch permanent moves to 301 or 308.",
+      ],
+    });
+  }
+
+  if ((redirects.linked_redirects || []).length > 0) {
+    const count = redirects.linked_redirect_count || redirects.linked_redirects.length;
+    const examples = redirects.linked_redirects
+      .slice(0, 10)
+      .map((r) => `${r.source} → ${r.url}`)
+      .join(", ");
+    actions.push({
+      action_type: "site_internal_links_to_redirects",
+      title: `${count} internal link${count > 1 ? "s point" : " points"} at redirecting URLs`,
+      severity: count >= 5 ? "medium" : "low",
+      why_it_matters: "Linking to redirects adds a wasted hop for every visit and crawl, and dilutes the signal about which URL is canonical.",
+      technical_reason: `Source page → redirecting URL: ${examples}.`,
+      expected_impact_range: "Low-Medium",
+      steps: [
+        "Update each internal link to point at the final destination URL.",
+        "Check navigation and footer templates first, since they repeat on every page.",
+      ],
+    });
+  }
+
+  const hasService = (page_type_counts.service || 0) > 0;
+  const hasProduct = (page_type_counts.product || 0) > 0;
+  const hasPricing = (page_type_counts.pricing || 0) > 0;
+  const hasArticle = (page_type_counts.article || 0) > 0;
+
+  if (!hasPricing && (hasProduct || hasService) && pages_crawled >= 3) {
+    actions.push({
+      action_type: "site_missing_pricing_page",
+      title: "No pricing page found",
+      severity: "medium",
+      why_it_matters: "Pricing pages rank for high-intent 'cost' and 'pricing' queries and are among the highest-converting pages on any site.",
+      technical_reason: "No page was classified as a pricing or cost page during the crawl.",
+      expected_impact_range: "Medium-High",
+      steps: [
+        "Create a dedicated /pricing or /plans page.",
+        "Include pricing tiers, a features comparison, and a clear CTA.",
+        "Target keywords like '[product] pricing', '[service] cost', 'how much does X cost'.",
+      ],
+    });
+  }
+
+  if (!hasArticle && pages_crawled >= 3) {
     actions.push({
-      action_type: "site_missing_h1s",
-      title: `${issues.missing_h1s} of ${pages_crawled} pages missing H1 tags`,
-      severity: p >= 50 ? "high" : "medium",
-      why_it_matters: "H1 tags are the strongest on-page relevance signal. Missing H1s weaken topical clarity for search engines.",
-      technical_reason: `${p}% of crawled pages have no H1 element.`,
+      action_type: "site_no_content_strategy",
+      title: "No blog or content pages found",
+      severity: "medium",
+      why_it_matters: "Content pages drive top-of-funnel traffic and build topical authority, which lifts rankings for your commercial pages too.",
+      technical_reason: "No article, blog, or guide pages were discovered during the crawl.",
       expected_impact_range: "Medium",
       steps: [
-        "Add a single, descriptive H1 to every page.",
-        "Make the H1 reflect the primary keyword or topic of the page.",
-        "Ensure H1 is distinct from the title tag but complementary.",
+        "Start a blog or resources section targeting informational keywords in your niche.",
+        "Publish 2–4 articles per month consistently.",
+        "Internally link from blog posts back to your commercial and service pages.",
+      ],
+    });
+  }
+
+  if (actions.length === 0) return;
+
+  // Remove any stale site-wide actions for this snapshot
+  await supabase.from("scc_actions").delete()
+    .eq("snapshot_id", snapshotId)
+    .is("page_id", null);
+
+  const rows = actions.map((a, i) => ({
+    snapshot_id:           snapshotId,
+    page_id:               null,
+    action_type:           a.action_type,
+    title:                 a.title,
+    why_it_matters:        a.why_it_matters,
+    technical_reason:      a.technical_reason,
+    expected_impact_range: a.expected_impact_range,
+    steps:                 a.steps,
+    severity:              a.severity,
+    priority:              i + 1,
+    status:                "open",
+  }));
+
+  const { error } = await supabase.from("scc_actions").insert(rows);
+  if (error) {
+    console.error(`[siteWideActions] snapshot=${snapshotId}`, error.message);
+  } else {
+    console.log(`[siteWideActions] inserted ${rows.length} site-wide actions for snapshot=${snapshotId}`);
+  }
+}
+
+// ─── Incremental recrawls ────────────────────────────────────────────────────
+
+async function loadPreviousSnapshotId(siteId, snapshotId) {
+  const { data, error } = await supabase
+    .from("scc_snapshots")
+    .select("id")
+    .eq("site_id", siteId)
+    .eq("status", "completed")
+    .neq("id", snapshotId)
+    .order("finished_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[incremental previous snapshot] site=${siteId}`, error.message);
+    return null;
+  }
+  return data?.id || null;
+}
+
+/**
+ * Index the previous snapshot's crawl rows by requested URL.
+ * Only rows with a content hash and stored links can stand in for a fresh crawl.
+ */
+async function loadPreviousCrawlIndex(previousSnapshotId) {
+  const index = new Map();
+
+  const { data: rows, error } = await supabase
+    .from("scc_page_snapshot_crawl")
+    .select("page_id, url, final_url, status_code, internal_link_depth, in_sitemap, etag, last_modified, content_hash, fetch_profile, x_robots_tag")
+    .eq("snapshot_id", previousSnapshotId)
+    .not("content_hash", "is", null)
+    .not("internal_links", "is", null);
+
+  if (error) {
+    console.error(`[incremental previous crawl] snapshot=${previousSnapshotId}`, error.message);
+    return index;
+  }
+
+  for (const row of rows || []) {
+    index.set(row.url, { ...row, snapshot_id: previousSnapshotId });
+  }
+  return index;
+}
+
+// Hash the document minus comments and inline scripts (nonces, timestamps) so
+// per-request noise does not count as a content change. JSON-LD is kept.
+function hashHtml(html = "") {
+  const normalized = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<script\b(?![^>]*application\/ld\+json)[^>]*>[\s\S]*?<\/script>/gi, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return createHash("sha256").update(normalized).digest("hex");
+}
+
+// A page's stored analysis can only be reused if it was scored from the same position
+function canReusePreviousCrawl(previousCrawl, { depth, sitemapEntry, fetchProfile }) {
+  if (!previousCrawl || depth === 0) return false;
+  if (previousCrawl.status_code !== 200) return false;
+  if ((previousCrawl.fetch_profile || DEFAULT_FETCH_PROFILE) !== fetchProfile) return false;
+  if (previousCrawl.internal_link_depth !== depth) return false;
+  return Boolean(previousCrawl.in_sitemap) === Boolean(sitemapEntry);
+}
+
+function stripSnapshotKeys(row) {
+  const copy = { ...row };
+  for (const key of ["id", "snapshot_id", "page_id", "created_at", "updated_at"]) delete copy[key];
+  return copy;
+}
+
+/**
+ * Copy the previous snapshot's crawl row, metrics and actions for an unchanged page.
+ * Redirect actions are rebuilt from the current chain, which the body hash never sees.
+ * Returns null when any of them is missing so the caller can analyse the page instead.
+ */
+async function reusePreviousPage({ snapshotId, previousCrawl, url, crawlOverrides }) {
+  const previousSnapshotId = previousCrawl.snapshot_id;
+  const pageId = previousCrawl.page_id;
+
+  const [{ data: crawlRow }, { data: metricsRow }, { data: actions, error: actionsError }] = await Promise.all([
+    supabase
+      .from("scc_page_snapshot_crawl")
+      .select("*")
+      .eq("snapshot_id", previousSnapshotId)
+      .eq("page_id", pageId)
+      .maybeSingle(),
+    supabase
+      .from("scc_page_snapshot_metrics")
+      .select("*")
+      .eq("snapshot_id", previousSnapshotId)
+      .eq("page_id", pageId)
+      .maybeSingle(),
+    supabase
+      .from("scc_actions")
+      .select("action_type, title, summary, why_it_matters, technical_reason, expected_impact_range, steps, severity, priority")
+      .eq("snapshot_id", previousSnapshotId)
+      .eq("page_id", pageId),
+  ]);
+
+  if (!crawlRow || !metricsRow || actionsError) {
+    console.log(`[incremental] previous rows incomplete for ${url}, analysing afresh`);
+    return null;
+  }
+
+  const reusedCrawlRow = {
+    ...stripSnapshotKeys(crawlRow),
+    ...crawlOverrides,
+    url,
+    unchanged: true,
+    reused_from_snapshot_id: previousSnapshotId,
+  };
+  const reusedMetricsRow = stripSnapshotKeys(metricsRow);
+
+  await supabase
+    .from("scc_pages")
+    .update({ last_seen_at: nowIso() })
+    .eq("id", pageId);
+
+  const reusedActions = [
+    ...(actions || []).filter((action) => !REDIRECT_ACTION_TYPES.includes(action.action_type)),
+    ...buildRedirectActions({ redirectChain: reusedCrawlRow.redirect_chain || [], pageType: reusedCrawlRow.page_type }),
+  ];
+
+  await upsertPageSnapshotCrawl({ snapshotId, pageId, crawlRow: reusedCrawlRow });
+  await upsertPageSnapshotMetrics({ snapshotId, pageId, metricsRow: reusedMetricsRow });
+  await replaceActions({ snapshotId, pageId, actions: reusedActions });
+
+  return { pageId, crawlRow: reusedCrawlRow, metricsRow: reusedMetricsRow };
+}
+
+// ─── Canonical target verification ──────────────────────────────────────────
+
+const CANONICAL_TARGET_ACTION_TYPES = [
+  "fix_canonical_to_error",
+  "fix_canonical_to_redirect",
+  "fix_canonical_to_noindex",
+  "fix_canonical_chain",
+  "review_canonical",
+];
+
+// Status, indexability, canonical and hreflang of a URL outside the crawled set
+async function fetchTargetSignals(targetUrl, { jobId, fetchProfile, respectRobots, waitForHostSlot }) {
+  if (respectRobots) {
+    const verdict = await checkRobotsAllowed(jobId, targetUrl, getRobotsToken(fetchProfile));
+    if (!verdict.allowed) return null;
+  }
+
+  try {
+    if (waitForHostSlot) await waitForHostSlot(targetUrl);
+    const fetched = await fetchHtml(targetUrl, { jobId, profile: fetchProfile });
+    const finalUrl = normalizeUrl(fetched.finalUrl) || targetUrl;
+    const $ = fetched.contentType.includes("text/html") ? cheerio.load(fetched.html || "") : null;
+    const robots = extractRobotsDirectives($, fetched.headers);
+
+    return {
+      url: targetUrl,
+      source: "fetch",
+      status: fetched.status,
+      final_url: finalUrl,
+      redirected: fetched.redirectChain.length > 0,
+      noindex: robots.effective.noindex || robots.effective.expired,
+      canonical: pickCanonical(collectCanonicalTags($, finalUrl, fetched.headers))?.resolved || null,
+      hreflang: collectHreflangLinks($, finalUrl, fetched.headers),
+    };
+  } catch (err) {
+    return {
+      url: targetUrl,
+      source: "fetch",
+      status: null,
+      final_url: null,
+      redirected: Boolean(err.redirectChain?.length),
+      noindex: false,
+      canonical: null,
+      hreflang: [],
+      error: err.message,
+    };
+  }
+}
+
+function buildCanonicalTargetActions(row, target) {
+  const isCommercial = isCommercialPageType(row.page_type);
+  const canonical = row.canonical_resolved;
+  const actions = [];
+
+  if (!target) {
+    actions.push(createPageAction({
+      actionType: "review_canonical",
+      titleText: "Review canonical tag",
+      summary: "This page canonicalises to a different URL that could not be checked.",
+      whyItMatters: "Incorrect canonicals can split ranking signals or suppress the intended URL.",
+      technicalReason: `The canonical points to ${canonical}, which was outside the crawl and not fetched.`,
+      expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
+      steps: [
+        "Check whether the page should self-canonicalize.",
+        "Fix the canonical if it points to the wrong URL.",
+        "Consolidate duplicate variants to the preferred page."
+      ],
+      score: isCommercial ? 64 : 48,
+    }));
+    return actions;
+  }
+
+  if (target.status == null || target.status >= 400) {
+    const outcome = target.status ? `HTTP ${target.status}` : `a failed request (${target.error || "no response"})`;
+    actions.push(createPageAction({
+      actionType: "fix_canonical_to_error",
+      titleText: "Canonical points to a broken URL",
+      summary: `The canonical target returns ${outcome}.`,
+      whyItMatters: "Search engines ignore a canonical that points at an error page, and may drop both URLs while they work it out.",
+      technicalReason: `The canonical points to ${canonical}, which returned ${outcome}.`,
+      expectedImpactRange: isCommercial ? "High" : "Medium-High",
+      steps: [
+        "Point the canonical at a live URL that returns HTTP 200.",
+        "Use a self-referencing canonical if this page is the preferred version."
+      ],
+      score: isCommercial ? 92 : 80,
+    }));
+    return actions;
+  }
+
+  if (target.redirected) {
+    actions.push(createPageAction({
+      actionType: "fix_canonical_to_redirect",
+      titleText: "Canonical points to a redirecting URL",
+      summary: "The canonical target redirects somewhere else.",
+      whyItMatters: "A canonical should name the final URL. Pointing it at a redirect sends mixed signals and is often ignored.",
+      technicalReason: `The canonical points to ${canonical}, which redirects to ${target.final_url}.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        `Update the canonical to the final URL (${target.final_url}).`,
+        "Check templates for canonicals built from old URL patterns."
+      ],
+      score: isCommercial ? 78 : 64,
+    }));
+  }
+
+  if (target.noindex) {
+    actions.push(createPageAction({
+      actionType: "fix_canonical_to_noindex",
+      titleText: "Canonical points to a noindex page",
+      summary: "The canonical target tells search engines not to index it.",
+      whyItMatters: "Canonicalising to a noindex page asks search engines to index a URL that refuses indexing, so neither version may rank.",
+      technicalReason: `The canonical points to ${canonical}, which carries a noindex directive.`,
+      expectedImpactRange: isCommercial ? "High" : "Medium-High",
+      steps: [
+        "Decide which URL should rank.",
+        "Remove noindex from the canonical target, or point the canonical at an indexable page."
+      ],
+      score: isCommercial ? 88 : 74,
+    }));
+  }
+
+  if (target.canonical && target.canonical !== target.final_url) {
+    actions.push(createPageAction({
+      actionType: "fix_canonical_chain",
+      titleText: "Canonical chain detected",
+      summary: "The canonical target canonicalises to yet another URL.",
+      whyItMatters: "Search engines may not follow canonical chains, so the intended preferred URL can be missed.",
+      technicalReason: `${row.final_url} → ${canonical} → ${target.canonical}.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        `Point the canonical straight at the end of the chain (${target.canonical}).`,
+        "Make the final URL self-canonical."
+      ],
+      score: isCommercial ? 76 : 62,
+    }));
+  }
+
+  if (!actions.length) {
+    actions.push(createPageAction({
+      actionType: "review_canonical",
+      titleText: "Review canonical tag",
+      summary: "This page canonicalises to a different, healthy URL.",
+      whyItMatters: "A canonical elsewhere hands this page's ranking signals to that URL. That is right for duplicates but wrong for unique pages.",
+      technicalReason: `The canonical points to ${canonical}, which is live and indexable.`,
+      expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
+      steps: [
+        "Confirm this page is a duplicate or variant of the canonical target.",
+        "Use a self-referencing canonical if this page should rank in its own right."
+      ],
+      score: isCommercial ? 64 : 48,
+    }));
+  }
+
+  return actions;
+}
+
+/**
+ * After the crawl, check where every non-self canonical points. Targets seen in
+ * this crawl are resolved from their crawl rows; others are fetched (bounded).
+ */
+async function verifyCanonicalTargets({ snapshotId, jobId, summaryState, fetchProfile, respectRobots, waitForHostSlot }) {
+  const rows = await loadSnapshotCrawlRows(
+    snapshotId,
+    "page_id, url, final_url, status_code, noindex, canonical_resolved, page_type"
+  );
+
+  const byFinalUrl = new Map();
+  const byRequestedUrl = new Map();
+  for (const row of rows) {
+    if (row.final_url) byFinalUrl.set(row.final_url, row);
+    byRequestedUrl.set(row.url, row);
+  }
+
+  const fromCrawl = (targetUrl) => {
+    const row = byFinalUrl.get(targetUrl) || byRequestedUrl.get(targetUrl);
+    if (!row) return null;
+    return {
+      url: targetUrl,
+      source: "crawl",
+      status: row.status_code,
+      final_url: row.final_url,
+      redirected: Boolean(row.final_url) && row.final_url !== targetUrl,
+      noindex: Boolean(row.noindex),
+      canonical: row.canonical_resolved || null,
+      ...(row.status_code == null ? { error: "fetch failed during the crawl" } : {}),
+    };
+  };
+
+  await deletePageActionsOfTypes(snapshotId, CANONICAL_TARGET_ACTION_TYPES);
+
+  const fetchedTargets = new Map();
+  const stats = { pages_checked: 0, targets_fetched: 0, issues: {} };
+
+  for (const row of rows) {
+    const canonical = row.canonical_resolved;
+    if (!canonical || !row.final_url || canonical === row.final_url) continue;
+    stats.pages_checked += 1;
+
+    let target = fromCrawl(canonical) || fetchedTargets.get(canonical) || null;
+    if (!target && !fetchedTargets.has(canonical) && stats.targets_fetched < CANONICAL_TARGET_MAX_FETCHES) {
+      stats.targets_fetched += 1;
+      target = await fetchTargetSignals(canonical, { jobId, fetchProfile, respectRobots, waitForHostSlot });
+      fetchedTargets.set(canonical, target);
+    }
+
+    const actions = buildCanonicalTargetActions(row, target);
+    for (const action of actions) {
+      stats.issues[action.action_type] = (stats.issues[action.action_type] || 0) + 1;
+    }
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({
+        canonical_target: target,
+        canonical_target_issues: actions.map((action) => action.action_type),
+      })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[canonical verify] page=${row.page_id}`, error.message);
+
+    await appendActions({ snapshotId, pageId: row.page_id, actions });
+  }
+
+  summaryState.canonicals = stats;
+  console.log(
+    `[canonical verify] pages=${stats.pages_checked} fetched=${stats.targets_fetched} issues=${JSON.stringify(stats.issues)}`
+  );
+}
+
+// ─── Hreflang ────────────────────────────────────────────────────────────────
+
+const HREFLANG_TARGET_MAX_FETCHES = Number(process.env.HREFLANG_TARGET_MAX_FETCHES || 50);
+
+// ISO 639-1 languages and ISO 3166-1 alpha-2 regions, the only codes search engines accept
+const ISO_LANGUAGES = new Set(
+  ("aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz " +
+    "ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik " +
+    "io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml " +
+    "mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd " +
+    "se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi " +
+    "vo wa wo xh yi yo za zh zu").split(" ")
+);
+const ISO_REGIONS = new Set(
+  ("AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW " +
+    "BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI " +
+    "FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN " +
+    "IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME " +
+    "MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF " +
+    "PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV " +
+    "SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE " +
+    "YT ZA ZM ZW").split(" ")
+);
+const REGION_CORRECTIONS = { UK: "GB", EN: "GB", EU: null, LA: null };
+
+const HREFLANG_ACTION_TYPES = [
+  "fix_hreflang_codes",
+  "add_hreflang_self_reference",
+  "add_hreflang_x_default",
+  "fix_hreflang_return_links",
+  "fix_hreflang_alternate_targets",
+];
+
+// hreflang alternates from <link> tags and the HTTP Link header
+function collectHreflangLinks($, pageUrl, headers = {}) {
+  const links = [];
+
+  if ($) {
+    $("link[hreflang]").each((_, el) => {
+      const rel = ($(el).attr("rel") || "").toLowerCase().split(/\s+/);
+      if (!rel.includes("alternate")) return;
+      const href = ($(el).attr("href") || "").trim();
+      links.push({ lang: ($(el).attr("hreflang") || "").trim(), href, resolved: resolveHref(href, pageUrl), source: "link" });
+    });
+  }
+
+  for (const link of parseLinkHeader(headers.link)) {
+    if (!link.rel.includes("alternate") || !link.params.hreflang) continue;
+    links.push({ lang: link.params.hreflang.trim(), href: link.url, resolved: resolveHref(link.url, pageUrl), source: "header" });
+  }
+
+  return links;
+}
+
+// Returns null for a valid code, otherwise why it is invalid
+function validateHreflangCode(code) {
+  if (!code) return "empty hreflang value";
+  if (code.toLowerCase() === "x-default") return null;
+  if (code.includes("_")) return `"${code}" uses an underscore instead of a hyphen`;
+
+  const [language, ...rest] = code.split("-");
+  if (!ISO_LANGUAGES.has(language.toLowerCase())) return `"${language}" is not an ISO 639-1 language code`;
+
+  let parts = rest;
+  if (parts.length && /^[a-z]{4}$/i.test(parts[0])) parts = parts.slice(1);
+  if (parts.length > 1) return `"${code}" has too many parts`;
+  if (parts.length === 1) {
+    const region = parts[0].toUpperCase();
+    if (!ISO_REGIONS.has(region)) {
+      const correction = REGION_CORRECTIONS[region];
+      return correction
+        ? `"${parts[0]}" is not an ISO 3166-1 region (use ${correction})`
+        : `"${parts[0]}" is not an ISO 3166-1 region`;
+    }
+  }
+
+  return null;
+}
+
+function registerHreflangIssue(summaryState, issue, url) {
+  const hreflang = summaryState.hreflang;
+  hreflang.issues[issue] = (hreflang.issues[issue] || 0) + 1;
+  const examples = (hreflang.examples[issue] ||= []);
+  if (examples.length < 10) examples.push(url);
+}
+
+function buildHreflangActions(row, findings) {
+  const isCommercial = isCommercialPageType(row.page_type);
+  const actions = [];
+
+  if (findings.invalidCodes.length) {
+    actions.push(createPageAction({
+      actionType: "fix_hreflang_codes",
+      titleText: "Fix invalid hreflang codes",
+      summary: "Some hreflang annotations on this page use codes search engines do not recognise.",
+      whyItMatters: "Alternates with invalid codes are ignored, so searchers in those markets may see the wrong language version.",
+      technicalReason: findings.invalidCodes.join("; "),
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Use ISO 639-1 language codes, optionally followed by an ISO 3166-1 region (e.g. en-GB).",
+        "Give each language/region code exactly one URL.",
+      ],
+      score: isCommercial ? 72 : 60,
+    }));
+  }
+
+  if (findings.missingSelf) {
+    actions.push(createPageAction({
+      actionType: "add_hreflang_self_reference",
+      titleText: "Add a self-referencing hreflang",
+      summary: "This page's hreflang set does not include the page itself.",
+      whyItMatters: "Each page in an hreflang cluster must list itself, or search engines may ignore the whole set.",
+      technicalReason: `None of the ${row.hreflang.length} hreflang alternates point to ${row.final_url}.`,
+      expectedImpactRange: "Medium",
+      steps: ["Add an hreflang entry for this page's own language and URL."],
+      score: isCommercial ? 66 : 54,
+    }));
+  }
+
+  if (findings.missingXDefault) {
+    actions.push(createPageAction({
+      actionType: "add_hreflang_x_default",
+      titleText: "Add an x-default hreflang",
+      summary: "This page's hreflang set has no x-default fallback.",
+      whyItMatters: "x-default tells search engines which version to show searchers whose language or region is not listed.",
+      technicalReason: "No hreflang=\"x-default\" alternate was found.",
+      expectedImpactRange: "Low-Medium",
+      steps: ["Add an x-default alternate pointing to the global or language-selector page."],
+      score: isCommercial ? 50 : 40,
+    }));
+  }
+
+  if (findings.missingReturn.length) {
+    actions.push(createPageAction({
+      actionType: "fix_hreflang_return_links",
+      titleText: "Add missing hreflang return links",
+      summary: "Some alternates do not link back to this page.",
+      whyItMatters: "hreflang must be reciprocal. One-way annotations are ignored by search engines.",
+      technicalReason: `Alternates without a return link: ${findings.missingReturn.slice(0, 10).join(", ")}.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Make every page in the cluster list the same full set of alternates.",
+        "Generate hreflang from one shared source so versions cannot drift apart.",
+      ],
+      score: isCommercial ? 74 : 62,
+    }));
+  }
+
+  if (findings.badTargets.length) {
+    actions.push(createPageAction({
+      actionType: "fix_hreflang_alternate_targets",
+      titleText: "Point hreflang at live, canonical URLs",
+      summary: "Some hreflang alternates are broken, redirected, noindexed or canonicalised elsewhere.",
+      whyItMatters: "Search engines drop alternates that are not the canonical, indexable version of a page.",
+      technicalReason: findings.badTargets.slice(0, 10).join("; "),
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Update each alternate to the final, self-canonical URL returning HTTP 200.",
+        "Remove alternates for pages that no longer exist.",
+      ],
+      score: isCommercial ? 76 : 64,
+    }));
+  }
+
+  return actions;
+}
+
+/**
+ * After the crawl, validate every page's hreflang set: codes, self-reference,
+ * x-default, return links and alternate health. Alternates outside the crawl
+ * are fetched (bounded), with their sitemap xhtml:link entries merged in as
+ * crawled pages get them. Pages joined by hreflang share a cluster id.
+ */
+async function validateHreflang({
+  snapshotId,
+  jobId,
+  summaryState,
+  fetchProfile,
+  respectRobots,
+  waitForHostSlot,
+  sitemapUrls = new Map(),
+}) {
+  const rows = (await loadSnapshotCrawlRows(
+    snapshotId,
+    "page_id, url, final_url, status_code, noindex, canonical_resolved, page_type, hreflang"
+  )).filter((row) => row.final_url);
+
+  const byFinalUrl = new Map(rows.map((row) => [row.final_url, row]));
+  const byRequestedUrl = new Map(rows.map((row) => [row.url, row]));
+
+  const fromCrawl = (targetUrl) => {
+    const row = byFinalUrl.get(targetUrl) || byRequestedUrl.get(targetUrl);
+    if (!row) return null;
+    return {
+      status: row.status_code,
+      final_url: row.final_url,
+      redirected: row.final_url !== targetUrl,
+      noindex: Boolean(row.noindex),
+      canonical: row.canonical_resolved || null,
+      hreflang: row.hreflang || [],
+    };
+  };
+  const fromSitemap = (targetUrl) =>
+    (sitemapUrls.get(targetUrl)?.hreflang || []).map((link) => ({
+      lang: link.lang,
+      href: link.href,
+      resolved: resolveHref(link.href, targetUrl),
+      source: "sitemap",
+    }));
+
+  // Union-find over hreflang edges gives each cluster a stable id (its first URL)
+  const parent = new Map();
+  const find = (url) => {
+    if (!parent.has(url)) parent.set(url, url);
+    let root = url;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(url, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const [ra, rb] = [find(a), find(b)].sort();
+    if (ra !== rb) parent.set(rb, ra);
+  };
+
+  await deletePageActionsOfTypes(snapshotId, HREFLANG_ACTION_TYPES);
+
+  const fetchedTargets = new Map();
+  const annotated = rows.filter((row) => (row.hreflang || []).length > 0);
+  summaryState.hreflang.pages_with_hreflang = annotated.length;
+
+  for (const row of annotated) {
+    for (const link of row.hreflang) {
+      if (link.resolved) union(row.final_url, link.resolved);
+    }
+  }
+
+  for (const row of annotated) {
+    const findings = { invalidCodes: [], missingSelf: false, missingXDefault: false, missingReturn: [], badTargets: [] };
+    const urlsByCode = new Map();
+
+    for (const link of row.hreflang) {
+      const problem = validateHreflangCode(link.lang);
+      if (problem) findings.invalidCodes.push(problem);
+      const code = link.lang.toLowerCase();
+      if (link.resolved && urlsByCode.has(code) && urlsByCode.get(code) !== link.resolved) {
+        findings.invalidCodes.push(`"${link.lang}" is mapped to more than one URL`);
+      }
+      if (link.resolved) urlsByCode.set(code, link.resolved);
+    }
+    findings.invalidCodes = [...new Set(findings.invalidCodes)];
+
+    const selfUrls = new Set([row.final_url, row.url]);
+    findings.missingSelf = !row.hreflang.some((link) => selfUrls.has(link.resolved));
+    findings.missingXDefault = !urlsByCode.has("x-default");
+
+    for (const alternate of new Set(urlsByCode.values())) {
+      if (selfUrls.has(alternate)) continue;
+
+      let target = fromCrawl(alternate) || fetchedTargets.get(alternate);
+      if (!target && !fetchedTargets.has(alternate) && fetchedTargets.size < HREFLANG_TARGET_MAX_FETCHES) {
+        target = await fetchTargetSignals(alternate, { jobId, fetchProfile, respectRobots, waitForHostSlot });
+        if (target) {
+          const sitemapLinks = [...new Set([alternate, target.final_url].filter(Boolean))].flatMap(fromSitemap);
+          target = { ...target, hreflang: [...target.hreflang, ...sitemapLinks] };
+        }
+        fetchedTargets.set(alternate, target);
+      }
+      if (!target) continue;
+
+      if (target.status == null || target.status >= 300) {
+        findings.badTargets.push(`${alternate} returns ${target.status ? `HTTP ${target.status}` : "no response"}`);
+        continue;
+      }
+      if (target.redirected) findings.badTargets.push(`${alternate} redirects to ${target.final_url}`);
+      if (target.noindex) findings.badTargets.push(`${alternate} is noindex`);
+      if (target.canonical && target.canonical !== target.final_url) {
+        findings.badTargets.push(`${alternate} canonicalises to ${target.canonical}`);
+      }
+
+      const returns = (target.hreflang || []).some((link) => selfUrls.has(link.resolved));
+      if (!returns) findings.missingReturn.push(alternate);
+    }
+
+    const actions = buildHreflangActions(row, findings);
+    const issueTypes = actions.map((action) => action.action_type);
+    issueTypes.forEach((issue) => registerHreflangIssue(summaryState, issue, row.final_url));
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({
+        hreflang_cluster: find(row.final_url),
+        hreflang_issues: issueTypes,
+        hreflang_findings: findings,
+      })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[hreflang] page=${row.page_id}`, error.message);
+
+    await appendActions({ snapshotId, pageId: row.page_id, actions });
+  }
+
+  summaryState.hreflang.clusters = new Set(annotated.map((row) => find(row.final_url))).size;
+  summaryState.hreflang.targets_fetched = fetchedTargets.size;
+  console.log(
+    `[hreflang] pages=${annotated.length} clusters=${summaryState.hreflang.clusters} issues=${JSON.stringify(summaryState.hreflang.issues)}`
+  );
+}
+
+// ─── Duplicate content ───────────────────────────────────────────────────────
+
+// Word shingles hashed into a MinHash signature; LSH bands pick candidate pairs
+const SHINGLE_SIZE = 5;
+const MINHASH_SIZE = 64;
+const MINHASH_BANDS = 16;
+const DUPLICATE_MIN_WORDS = 50;
+
+function fnv1a32(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function mix32(value) {
+  let x = value >>> 0;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => mix32(i + 1));
+
+/**
+ * Fingerprint of a page's cleaned body text: a hash of the normalised words
+ * for exact matches and a MinHash signature over word shingles for near
+ * matches. Null when the page has too little text to compare meaningfully.
+ */
+function computeContentFingerprint(bodyText = "", { minWords = DUPLICATE_MIN_WORDS } = {}) {
+  const words = bodyText.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < Math.max(minWords, SHINGLE_SIZE)) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(fnv1a32(words.slice(i, i + SHINGLE_SIZE).join(" ")));
+  }
+
+  const minhash = new Array(MINHASH_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const value = mix32(shingle ^ MINHASH_SEEDS[i]);
+      if (value < minhash[i]) minhash[i] = value;
+    }
+  }
+
+  return {
+    exactHash: createHash("sha1").update(words.join(" ")).digest("hex"),
+    minhash,
+    wordCount: words.length,
+  };
+}
+
+// Estimated Jaccard similarity of two shingle sets
+function minhashSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < MINHASH_SIZE; i++) {
+    if (a[i] === b[i]) same += 1;
+  }
+  return same / MINHASH_SIZE;
+}
+
+// Among duplicates, the URL that should carry the canonical
+function pickSuggestedCanonical(members) {
+  const urls = new Set(members.map((row) => row.final_url));
+  const votes = {};
+  for (const row of members) {
+    if (row.canonical_resolved && row.canonical_resolved !== row.final_url && urls.has(row.canonical_resolved)) {
+      votes[row.canonical_resolved] = (votes[row.canonical_resolved] || 0) + 1;
+    }
+  }
+  const voted = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+  if (voted) return voted[0];
+
+  const rank = (row) => [
+    row.indexable ? 0 : 1,
+    row.in_sitemap ? 0 : 1,
+    row.internal_link_depth ?? 99,
+    row.final_url.includes("?") ? 1 : 0,
+    row.final_url.length,
+  ];
+  const sorted = [...members].sort((a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    for (let i = 0; i < ra.length; i++) {
+      if (ra[i] !== rb[i]) return ra[i] - rb[i];
+    }
+    return a.final_url.localeCompare(b.final_url);
+  });
+  return sorted[0].final_url;
+}
+
+/**
+ * After the crawl, group pages into exact and near-duplicate clusters, each
+ * built around a representative page that every member matches. Each
+ * member's crawl row gets the cluster id and the suggested canonical; the
+ * summary keeps the clusters for the site-wide action.
+ */
+async function clusterDuplicateContent({ snapshotId, summaryState, threshold }) {
+  const rows = (await loadSnapshotCrawlRows(
+    snapshotId,
+    "page_id, final_url, status_code, indexable, canonical_resolved, in_sitemap, internal_link_depth, content_exact_hash, content_minhash, duplicate_cluster_id, soft_404"
+  )).filter((row) => row.final_url && row.status_code === 200 && !row.soft_404 && row.content_exact_hash && row.content_minhash);
+
+  // Similarity of each candidate pair, both directions: i → Map<j, score>
+  const neighbours = rows.map(() => new Map());
+  const link = (i, j, score) => {
+    neighbours[i].set(j, score);
+    neighbours[j].set(i, score);
+  };
+
+  // Exact duplicates share the normalised-text hash
+  const byExactHash = new Map();
+  rows.forEach((row, i) => {
+    if (!byExactHash.has(row.content_exact_hash)) byExactHash.set(row.content_exact_hash, []);
+    byExactHash.get(row.content_exact_hash).push(i);
+  });
+  const exactMates = (i) => byExactHash.get(rows[i].content_exact_hash).filter((j) => j !== i);
+
+  // Near duplicates: rows sharing any LSH band are compared on the full signature
+  const rowsPerBand = MINHASH_SIZE / MINHASH_BANDS;
+  const compared = new Set();
+  for (let band = 0; band < MINHASH_BANDS; band++) {
+    const buckets = new Map();
+    rows.forEach((row, i) => {
+      const key = row.content_minhash.slice(band * rowsPerBand, (band + 1) * rowsPerBand).join(",");
+      const bucket = buckets.get(key);
+      if (bucket) bucket.push(i);
+      else buckets.set(key, [i]);
+    });
+    for (const bucket of buckets.values()) {
+      for (let a = 0; a < bucket.length; a++) {
+        for (let b = a + 1; b < bucket.length; b++) {
+          const pairKey = `${bucket[a]}:${bucket[b]}`;
+          if (compared.has(pairKey)) continue;
+          compared.add(pairKey);
+          if (rows[bucket[a]].content_exact_hash === rows[bucket[b]].content_exact_hash) continue;
+          const score = minhashSimilarity(rows[bucket[a]].content_minhash, rows[bucket[b]].content_minhash);
+          if (score >= threshold) link(bucket[a], bucket[b], score);
+        }
+      }
+    }
+  }
+
+  // Clusters form around a representative page: the best-connected page still
+  // unassigned takes every unassigned page that meets the threshold against it.
+  // Similarity is not transitive, so chains of near matches do not merge.
+  const degree = rows.map((_, i) => exactMates(i).length + neighbours[i].size);
+  const order = rows.map((_, i) => i).sort((a, b) => degree[b] - degree[a] || a - b);
+  const assigned = new Set();
+  const groups = [];
+  for (const representative of order) {
+    if (assigned.has(representative)) continue;
+    const members = new Map([[representative, 1]]);
+    exactMates(representative).forEach((j) => members.set(j, 1));
+    for (const [j, score] of neighbours[representative]) {
+      if (!members.has(j)) members.set(j, score);
+    }
+    for (const j of members.keys()) {
+      if (assigned.has(j)) members.delete(j);
+    }
+    for (const j of members.keys()) assigned.add(j);
+    groups.push(members);
+  }
+
+  const clusters = [];
+  const clustered = new Set();
+
+  for (const group of groups) {
+    if (group.size < 2) continue;
+    const members = [...group.keys()].map((i) => rows[i]);
+    const type = new Set(members.map((row) => row.content_exact_hash)).size === 1 ? "exact" : "near";
+    // Lowest similarity of any member to the representative
+    const score = Math.min(...group.values());
+    const suggested = pickSuggestedCanonical(members);
+    const id = createHash("sha1").update(suggested).digest("hex").slice(0, 12);
+    // Noindexed members and members already canonicalised to the suggestion need no work
+    const unresolved = members.filter(
+      (row) => row.final_url !== suggested && row.indexable && row.canonical_resolved !== suggested
+    );
+
+    clusters.push({
+      id,
+      type,
+      similarity: Math.round(score * 100) / 100,
+      size: members.length,
+      suggested_canonical: suggested,
+      urls: members.map((row) => row.final_url).slice(0, 20),
+      unresolved: unresolved.length,
+    });
+
+    for (const row of members) {
+      clustered.add(row.page_id);
+      const { error } = await supabase
+        .from("scc_page_snapshot_crawl")
+        .update({
+          duplicate_cluster_id: id,
+          duplicate_type: type,
+          duplicate_similarity: Math.round(score * 100) / 100,
+          suggested_canonical: suggested,
+        })
+        .eq("snapshot_id", snapshotId)
+        .eq("page_id", row.page_id);
+      if (error) console.error(`[duplicates] page=${row.page_id}`, error.message);
+    }
+  }
+
+  // Rows reused from the previous snapshot may carry a stale cluster
+  for (const row of rows) {
+    if (!row.duplicate_cluster_id || clustered.has(row.page_id)) continue;
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ duplicate_cluster_id: null, duplicate_type: null, duplicate_similarity: null, suggested_canonical: null })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[duplicates] page=${row.page_id}`, error.message);
+  }
+
+  clusters.sort((a, b) => b.unresolved - a.unresolved || b.size - a.size);
+  const duplicates = summaryState.duplicates;
+  duplicates.threshold = threshold;
+  duplicates.pages_fingerprinted = rows.length;
+  duplicates.exact_clusters = clusters.filter((c) => c.type === "exact").length;
+  duplicates.near_clusters = clusters.filter((c) => c.type === "near").length;
+  duplicates.pages_in_clusters = clustered.size;
+  duplicates.clusters = clusters.slice(0, 25);
+
+  console.log(
+    `[duplicates] pages=${rows.length} exact_clusters=${duplicates.exact_clusters} near_clusters=${duplicates.near_clusters} threshold=${threshold}`
+  );
+}
+
+// ─── Post-crawl rescoring ────────────────────────────────────────────────────
+
+// Swap one occurrence of a page's old score for its new one
+function replaceSummaryScore(list, previous, next) {
+  const index = list.indexOf(previous);
+  if (index !== -1) list.splice(index, 1);
+  list.push(next);
+}
+
+/**
+ * Recompute scores for the given pages from their stored crawl and metrics
+ * rows, so inputs added by post-crawl passes (stored on the crawl row) are
+ * reflected in metrics and in the summary score lists.
+ */
+async function rescorePages({ snapshotId, summaryState, pageIds }) {
+  if (!pageIds.size) return;
+
+  const [crawlRows, metricsRows] = await Promise.all([
+    loadSnapshotCrawlRows(
+      snapshotId,
+      "page_id, final_url, status_code, content_type, page_type, word_count, load_ms, noindex, indexable, internal_link_depth, robots_directives, duplicate_metadata, heading_findings, link_score, unique_inlinks, soft_404"
+    ),
+    loadSnapshotMetricsRows(
+      snapshotId,
+      "page_id, canonical_ok, has_title, has_meta, has_h1, schema_types, structural_score, visibility_score, revenue_score, paid_risk_score, page_opportunity_score"
+    ),
+  ]);
+  const metricsByPage = new Map(metricsRows.map((row) => [row.page_id, row]));
+
+  for (const row of crawlRows) {
+    const metrics = metricsByPage.get(row.page_id);
+    // Error and non-HTML rows keep the fixed scores they were stored with
+    if (!pageIds.has(row.page_id) || !metrics || !row.content_type?.includes("text/html")) continue;
+
+    const structuralScore = computeStructuralScore({
+      indexable: row.indexable,
+      canonicalOk: metrics.canonical_ok,
+      hasTitle: metrics.has_title,
+      hasMeta: metrics.has_meta,
+      hasH1: metrics.has_h1,
+      wordCount: row.word_count || 0,
+      statusCode: row.status_code,
+      pageType: row.page_type,
+      loadMs: row.load_ms,
+      schemaTypes: metrics.schema_types,
+      duplicateFields: row.duplicate_metadata || [],
+      headingIssues: getHeadingIssueTypes(row.heading_findings),
+    });
+    const visibilityScore = computeVisibilityScore({
+      indexable: row.indexable,
+      structuralScore,
+      pageType: row.page_type,
+      statusCode: row.status_code,
+      internalLinkDepth: row.internal_link_depth,
+      noindex: row.noindex,
+      loadMs: row.load_ms,
+      robotsDirectives: row.robots_directives?.[PRIMARY_ROBOTS_AGENT] || null,
+      linkScore: row.link_score,
+      uniqueInlinks: row.unique_inlinks,
+    });
+    const paidRiskScore = computePaidRiskScore({
+      pageType: row.page_type,
+      indexable: row.indexable,
+      structuralScore,
+      visibilityScore,
+      loadMs: row.load_ms,
+    });
+    const pageOpportunityScore = computePageOpportunityScore({
+      pageType: row.page_type,
+      structuralScore,
+      visibilityScore,
+      revenueScore: metrics.revenue_score,
+      indexable: row.indexable,
+      statusCode: row.status_code,
+      wordCount: row.word_count || 0,
+      internalLinkDepth: row.internal_link_depth,
+      canonicalOk: metrics.canonical_ok,
+      hasTitle: metrics.has_title,
+      hasMeta: metrics.has_meta,
+      hasH1: metrics.has_h1,
+      soft404: Boolean(row.soft_404),
+    });
+    const priorityBucket = computePriorityBucket(pageOpportunityScore, metrics.revenue_score, row.page_type);
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_metrics")
+      .update({
+        structural_score: structuralScore,
+        visibility_score: visibilityScore,
+        paid_risk_score: paidRiskScore,
+        page_opportunity_score: pageOpportunityScore,
+        priority_bucket: priorityBucket,
+      })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[rescore] page=${row.page_id}`, error.message);
+
+    if (!summaryState) continue;
+    const lists = summaryState.score_lists;
+    replaceSummaryScore(lists.structural, metrics.structural_score, structuralScore);
+    replaceSummaryScore(lists.visibility, metrics.visibility_score, visibilityScore);
+    replaceSummaryScore(lists.paid_risk, metrics.paid_risk_score, paidRiskScore);
+    // Soft 404s were never added to the opportunity list or top pages
+    if (row.soft_404) continue;
+    replaceSummaryScore(lists.opportunity, metrics.page_opportunity_score, pageOpportunityScore);
+
+    summaryState.top_opportunity_pages = summaryState.top_opportunity_pages
+      .filter((page) => page.url !== row.final_url)
+      .concat({
+        url: row.final_url,
+        page_type: row.page_type,
+        opportunity: pageOpportunityScore,
+        structural: structuralScore,
+        visibility: visibilityScore,
+        revenue: metrics.revenue_score,
+        priority_bucket: priorityBucket,
+      })
+      .sort((a, b) => b.opportunity - a.opportunity)
+      .slice(0, 5);
+  }
+}
+
+// ─── Duplicate metadata ──────────────────────────────────────────────────────
+
+const DUPLICATE_METADATA_FIELDS = {
+  title: { label: "title", actionType: "fix_duplicate_title", siteActionType: "site_duplicate_titles" },
+  meta_description: {
+    label: "meta description",
+    actionType: "fix_duplicate_meta_description",
+    siteActionType: "site_duplicate_meta_descriptions",
+  },
+  h1: { label: "H1", actionType: "fix_duplicate_h1", siteActionType: "site_duplicate_h1s" },
+};
+
+function normalizeMetadataValue(value) {
+  return cleanText(value || "").toLowerCase();
+}
+
+// Only indexable, self-canonical pages compete with each other in results
+function indexPageMetadata(summaryState, url, values) {
+  for (const [field, value] of Object.entries(values)) {
+    const key = normalizeMetadataValue(value);
+    if (!key) continue;
+    const index = summaryState.metadata_index[field];
+    (index[key] ||= { value: cleanText(value), urls: [] }).urls.push(url);
+  }
+}
+
+// Values shared by more than one page, largest groups first
+function findDuplicateMetadata(summaryState) {
+  const groups = {};
+  for (const field of Object.keys(DUPLICATE_METADATA_FIELDS)) {
+    groups[field] = Object.values(summaryState.metadata_index?.[field] || {})
+      .filter((entry) => entry.urls.length > 1)
+      .sort((a, b) => b.urls.length - a.urls.length);
+  }
+  return groups;
+}
+
+function buildDuplicateMetadataActions(row, duplicates) {
+  const isCommercial = isCommercialPageType(row.page_type);
+
+  return duplicates.map(({ field, entry }) => {
+    const { label, actionType } = DUPLICATE_METADATA_FIELDS[field];
+    const others = entry.urls.filter((url) => url !== row.final_url);
+    return createPageAction({
+      actionType,
+      titleText: `Make the ${label} unique`,
+      summary: `This page shares its ${label} with ${others.length} other page${others.length > 1 ? "s" : ""}.`,
+      whyItMatters: `Search engines use the ${label} to tell pages apart. Shared values make pages compete with each other and blur which one should rank.`,
+      technicalReason: `"${entry.value}" is also used on ${others.slice(0, 5).join(", ")}${others.length > 5 ? ` and ${others.length - 5} more` : ""}.`,
+      expectedImpactRange: isCommercial && field !== "h1" ? "Medium-High" : "Medium",
+      steps: [
+        `Write a ${label} that describes what is specific to this page.`,
+        "If the pages really are the same, canonicalise or merge them instead.",
+      ],
+      score: (isCommercial ? 68 : 54) - (field === "h1" ? 6 : 0),
+    });
+  });
+}
+
+/**
+ * After the crawl, flag pages that share a title, meta description or H1
+ * with other indexable pages: per-page actions, a duplicate_metadata list on
+ * the crawl row, and a structural-score penalty applied by rescoring.
+ */
+async function reportDuplicateMetadata({ snapshotId, summaryState }) {
+  const groups = findDuplicateMetadata(summaryState);
+
+  const duplicatesByUrl = new Map();
+  for (const [field, entries] of Object.entries(groups)) {
+    for (const entry of entries) {
+      for (const url of entry.urls) {
+        if (!duplicatesByUrl.has(url)) duplicatesByUrl.set(url, []);
+        duplicatesByUrl.get(url).push({ field, entry });
+      }
+    }
+  }
+
+  await deletePageActionsOfTypes(
+    snapshotId,
+    Object.values(DUPLICATE_METADATA_FIELDS).map((config) => config.actionType)
+  );
+
+  const rows = await loadSnapshotCrawlRows(snapshotId, "page_id, final_url, page_type, duplicate_metadata");
+  const changed = new Set();
+
+  for (const row of rows) {
+    const duplicates = duplicatesByUrl.get(row.final_url) || [];
+    // Rows reused from the previous snapshot may carry stale flags
+    if (!duplicates.length && !(row.duplicate_metadata || []).length) continue;
+
+    const fields = duplicates.map((duplicate) => duplicate.field);
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ duplicate_metadata: fields.length ? fields : null })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[duplicate metadata] page=${row.page_id}`, error.message);
+
+    changed.add(row.page_id);
+    await appendActions({ snapshotId, pageId: row.page_id, actions: buildDuplicateMetadataActions(row, duplicates) });
+  }
+
+  await rescorePages({ snapshotId, summaryState, pageIds: changed });
+
+  summaryState.duplicate_metadata = {
+    titles: groups.title.length,
+    meta_descriptions: groups.meta_description.length,
+    h1s: groups.h1.length,
+    pages_affected: duplicatesByUrl.size,
+  };
+  console.log(`[duplicate metadata] ${JSON.stringify(summaryState.duplicate_metadata)}`);
+}
+
+// ─── Internal link graph ─────────────────────────────────────────────────────
+
+const LINK_EDGES_PER_PAGE = 500;
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 30;
+
+// Where on the page a link sits: site navigation, footer, or the page's own content
+function getLinkRegion($el) {
+  if ($el.closest("footer, [role='contentinfo']").length) return "footer";
+  if ($el.closest("nav, header, [role='navigation'], [role='banner']").length) return "nav";
+  return "content";
+}
+
+/**
+ * PageRank over followed internal links between crawled pages. Each source
+ * passes rank once per distinct target; rank from pages without followed
+ * outlinks is spread evenly.
+ */
+function computeInternalPageRank(nodeCount, outlinks) {
+  if (!nodeCount) return [];
+  let rank = new Array(nodeCount).fill(1 / nodeCount);
+
+  for (let iteration = 0; iteration < PAGERANK_ITERATIONS; iteration++) {
+    const next = new Array(nodeCount).fill((1 - PAGERANK_DAMPING) / nodeCount);
+    let dangling = 0;
+    for (let i = 0; i < nodeCount; i++) {
+      const targets = outlinks[i];
+      if (!targets.size) {
+        dangling += rank[i];
+        continue;
+      }
+      const share = (PAGERANK_DAMPING * rank[i]) / targets.size;
+      for (const target of targets) next[target] += share;
+    }
+    const danglingShare = (PAGERANK_DAMPING * dangling) / nodeCount;
+    rank = next.map((value) => value + danglingShare);
+  }
+
+  return rank;
+}
+
+// PageRank on a log scale: the strongest page scores 100, the weakest 0
+function scaleLinkScores(ranks) {
+  if (!ranks.length) return [];
+  const logs = ranks.map((value) => Math.log(value));
+  const min = Math.min(...logs);
+  const max = Math.max(...logs);
+  if (max - min < 1e-9) return ranks.map(() => 100);
+  return logs.map((value) => Math.round((100 * (value - min)) / (max - min)));
+}
+
+/**
+ * After the crawl, resolve stored link edges to crawled pages and compute
+ * inlinks, unique linking pages and internal PageRank for every page. Link
+ * signals then replace crawl depth in each page's visibility score. Only 2xx
+ * HTML pages are graph nodes; links to error pages are left to
+ * reportBrokenLinks, and links to files pass no rank.
+ */
+async function analyseLinkGraph({ snapshotId, summaryState }) {
+  const allRows = await loadSnapshotCrawlRows(
+    snapshotId,
+    "page_id, url, final_url, status_code, content_type, link_edges, link_score"
+  );
+  const isNode = (row) =>
+    row.final_url && row.status_code >= 200 && row.status_code < 300 && row.content_type?.includes("text/html");
+  const rows = allRows.filter(isNode);
+  const rescored = new Set(rows.map((row) => row.page_id));
+
+  // Rows reused from the previous snapshot may carry link signals from when they were live pages
+  for (const row of allRows) {
+    if (isNode(row) || row.link_score == null) continue;
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({
+        inlinks: null,
+        followed_inlinks: null,
+        unique_inlinks: null,
+        inlinks_by_region: null,
+        internal_pagerank: null,
+        link_score: null,
+      })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[link graph] page=${row.page_id}`, error.message);
+    rescored.add(row.page_id);
+  }
+
+  const indexByUrl = new Map();
+  rows.forEach((row, i) => indexByUrl.set(row.final_url, i));
+  // Links to a redirecting URL count for the page it redirects to
+  rows.forEach((row, i) => {
+    if (!indexByUrl.has(row.url)) indexByUrl.set(row.url, i);
+  });
+
+  const stats = rows.map(() => ({
+    inlinks: 0,
+    followed_inlinks: 0,
+    linking_pages: new Set(),
+    by_region: { nav: 0, footer: 0, content: 0 },
+  }));
+  const outlinks = rows.map(() => new Set());
+  let edgeCount = 0;
+
+  rows.forEach((row, source) => {
+    for (const edge of row.link_edges || []) {
+      const target = indexByUrl.get(edge.target);
+      if (target === undefined || target === source) continue;
+      edgeCount += 1;
+      const stat = stats[target];
+      stat.inlinks += 1;
+      stat.linking_pages.add(source);
+      stat.by_region[edge.region] = (stat.by_region[edge.region] || 0) + 1;
+      if (!edge.nofollow) {
+        stat.followed_inlinks += 1;
+        outlinks[source].add(target);
+      }
+    }
+  });
+
+  const ranks = computeInternalPageRank(rows.length, outlinks);
+  const linkScores = scaleLinkScores(ranks);
+
+  for (let i = 0; i < rows.length; i++) {
+    const stat = stats[i];
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({
+        inlinks: stat.inlinks,
+        followed_inlinks: stat.followed_inlinks,
+        unique_inlinks: stat.linking_pages.size,
+        inlinks_by_region: stat.by_region,
+        internal_pagerank: Number(ranks[i].toFixed(6)),
+        link_score: linkScores[i],
+      })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", rows[i].page_id);
+    if (error) console.error(`[link graph] page=${rows[i].page_id}`, error.message);
+  }
+
+  await rescorePages({ snapshotId, summaryState, pageIds: rescored });
+
+  summaryState.link_graph = {
+    pages: rows.length,
+    edges: edgeCount,
+    pages_without_inlinks: rows.filter(
+      (row, i) => stats[i].inlinks === 0 && row.url !== summaryState.seed_url && row.final_url !== summaryState.seed_url
+    ).length,
+    top_pages: rows
+      .map((row, i) => ({ url: row.final_url, link_score: linkScores[i], unique_inlinks: stats[i].linking_pages.size }))
+      .sort((a, b) => b.link_score - a.link_score)
+      .slice(0, 5),
+  };
+  console.log(`[link graph] pages=${rows.length} edges=${edgeCount}`);
+}
+
+// ─── Internal link coverage ──────────────────────────────────────────────────
+
+const UNDERLINKED_PAGE_TYPES = ["service", "product", "pricing"];
+
+const LINK_COVERAGE_ACTION_TYPES = [
+  "link_orphan_page",
+  "strengthen_internal_links",
+  // Depth-based guess made while crawling, superseded by this pass
+  "improve_internal_prominence",
+];
+
+function buildLinkCoverageActions(row, flags) {
+  const isCommercial = isCommercialPageType(row.page_type);
+  const actions = [];
+  const listedIn = [row.in_sitemap && "the XML sitemap", row.impressions > 0 && "Search Console"].filter(Boolean);
+
+  if (flags.includes("orphan")) {
+    actions.push(createPageAction({
+      actionType: "link_orphan_page",
+      titleText: "Link to this orphan page",
+      summary: "No crawled page links to this page.",
+      whyItMatters: "Search engines discover and weigh pages through internal links. Orphan pages get crawled rarely and rank poorly.",
+      technicalReason: `Listed in ${listedIn.join(" and ")}, but none of the crawled pages link to it.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Link to it from its parent category, hub or service page.",
+        "Add contextual links from related articles or products.",
+        "If the page is obsolete, remove it from the sitemap and redirect it.",
+      ],
+      score: isCommercial ? 76 : 58,
+    }));
+  }
+
+  if (flags.includes("few_inlinks") || flags.includes("footer_only_inlinks")) {
+    const reasons = [];
+    if (flags.includes("few_inlinks")) {
+      reasons.push(`Only ${row.unique_inlinks} crawled page${row.unique_inlinks === 1 ? " links" : "s link"} here (fewer than ${UNDERLINKED_MIN_INLINKS})`);
+    }
+    if (flags.includes("footer_only_inlinks")) reasons.push("Every internal link to it sits in the footer");
+    actions.push(createPageAction({
+      actionType: "strengthen_internal_links",
+      titleText: "Strengthen internal links to this page",
+      summary: "This commercial page is weakly linked from the rest of the site.",
+      whyItMatters: "Commercial pages need prominent internal links to earn ranking signals and reach visitors. Footer links carry little weight.",
+      technicalReason: `${reasons.join(". ")}. Internal link score ${row.link_score ?? "n/a"}/100.`,
+      expectedImpactRange: "Medium-High",
+      steps: [
+        "Link to this page from the main navigation or relevant hub pages.",
+        "Add contextual links with descriptive anchor text from related content.",
+        "Link from high-authority pages such as the homepage.",
+      ],
+      score: 72,
+    }));
+  }
+
+  return actions;
+}
+
+/**
+ * Once the link graph and Search Console data are in, flag orphan pages
+ * (in the sitemap or with GSC impressions but no inlinks from crawled pages)
+ * and under-linked commercial pages (few linking pages, or footer links only).
+ * Sitemap and GSC URLs the crawl never reached are checked against the
+ * crawled pages' link edges. Nothing linking to them only proves an orphan
+ * when the crawl finished its frontier; otherwise an uncrawled page may hold
+ * the link, so they are listed as unverified instead.
+ */
+async function reportLinkCoverage({
+  snapshotId,
+  summaryState,
+  scope,
+  sitemapUrls = new Map(),
+  gscPages = [],
+  frontierComplete = false,
+}) {
+  const [rows, metricsRows] = await Promise.all([
+    loadSnapshotCrawlRows(
+      snapshotId,
+      "page_id, url, final_url, status_code, indexable, page_type, in_sitemap, inlinks, unique_inlinks, inlinks_by_region, link_score, internal_link_flags, link_edges"
+    ),
+    loadSnapshotMetricsRows(snapshotId, "page_id, impressions"),
+  ]);
+  const impressionsByPage = new Map(metricsRows.map((row) => [row.page_id, row.impressions || 0]));
+
+  await deletePageActionsOfTypes(snapshotId, LINK_COVERAGE_ACTION_TYPES);
+
+  const coverage = { orphans: [], under_linked: [], unverified: [] };
+
+  for (const row of rows) {
+    if (!row.final_url) continue;
+    row.impressions = impressionsByPage.get(row.page_id) || 0;
+
+    const flags = [];
+    const isSeed = row.url === summaryState.seed_url || row.final_url === summaryState.seed_url;
+    const live = row.status_code >= 200 && row.status_code < 300 && row.indexable;
+    if (live && !isSeed) {
+      if (!row.inlinks && (row.in_sitemap || row.impressions > 0)) {
+        flags.push("orphan");
+      } else if (row.inlinks && UNDERLINKED_PAGE_TYPES.includes(row.page_type)) {
+        if (row.unique_inlinks < UNDERLINKED_MIN_INLINKS) flags.push("few_inlinks");
+        if ((row.inlinks_by_region?.footer || 0) === row.inlinks) flags.push("footer_only_inlinks");
+      }
+    }
+
+    // Rows reused from the previous snapshot may carry stale flags
+    if (!flags.length && !(row.internal_link_flags || []).length) continue;
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ internal_link_flags: flags.length ? flags : null })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[link coverage] page=${row.page_id}`, error.message);
+
+    if (flags.includes("orphan")) {
+      coverage.orphans.push({ url: row.final_url, in_sitemap: Boolean(row.in_sitemap), impressions: row.impressions, crawled: true });
+    } else if (flags.length) {
+      coverage.under_linked.push({ url: row.final_url, page_type: row.page_type, unique_inlinks: row.unique_inlinks, flags });
+    }
+
+    await appendActions({ snapshotId, pageId: row.page_id, actions: buildLinkCoverageActions(row, flags) });
+  }
+
+  // Listed but never crawled (page budget, depth or robots): no page row, so no per-page action
+  const crawledUrls = new Set(rows.flatMap((row) => [row.url, row.final_url]).filter(Boolean));
+  const linkedUrls = new Set(rows.flatMap((row) => (row.link_edges || []).map((edge) => edge.target)));
+  const uncrawled = new Map();
+  for (const url of sitemapUrls.keys()) uncrawled.set(url, { url, in_sitemap: true, impressions: 0 });
+  for (const page of gscPages) {
+    const url = scope ? normalizeScopedUrl(scope, page.url) : normalizeUrl(page.url);
+    if (!url || (scope && !evaluateScope(scope, url).inScope)) continue;
+    const entry = uncrawled.get(url) || { url, in_sitemap: false, impressions: 0 };
+    entry.impressions += page.impressions;
+    uncrawled.set(url, entry);
+  }
+  for (const entry of uncrawled.values()) {
+    if (crawledUrls.has(entry.url) || linkedUrls.has(entry.url) || entry.url === summaryState.seed_url) continue;
+    if (!entry.in_sitemap && !entry.impressions) continue;
+    (frontierComplete ? coverage.orphans : coverage.unverified).push({ ...entry, crawled: false });
+  }
+
+  summaryState.link_coverage = {
+    min_inlinks: UNDERLINKED_MIN_INLINKS,
+    orphan_count: coverage.orphans.length,
+    under_linked_count: coverage.under_linked.length,
+    unverified_count: coverage.unverified.length,
+    orphans: coverage.orphans.slice(0, 50),
+    under_linked: coverage.under_linked.slice(0, 50),
+    unverified: coverage.unverified.slice(0, 50),
+  };
+  console.log(
+    `[link coverage] orphans=${coverage.orphans.length} under_linked=${coverage.under_linked.length} unverified=${coverage.unverified.length}`
+  );
+}
+
+// ─── Broken internal links ───────────────────────────────────────────────────
+
+function describeLinkTargetStatus(row) {
+  if (row.status_code) return `HTTP ${row.status_code}`;
+  return row.fetch_error ? `failed: ${row.fetch_error}` : "no response";
+}
+
+function buildBrokenLinkActions(row, brokenLinks) {
+  if (!brokenLinks.length) return [];
+  const isCommercial = isCommercialPageType(row.page_type);
+  const count = brokenLinks.length;
+  const listed = brokenLinks
+    .slice(0, 15)
+    .map((link) => `${link.target} (${link.status}; anchor${link.anchors.length > 1 ? "s" : ""}: ${link.anchors.map((a) => `"${a || "no text"}"`).join(", ")})`)
+    .join("; ");
+
+  return [
+    createPageAction({
+      actionType: "fix_broken_links",
+      titleText: `Fix ${count} broken internal link${count > 1 ? "s" : ""}`,
+      summary: `This page links to ${count} internal URL${count > 1 ? "s" : ""} that return an error or do not respond.`,
+      whyItMatters: "Broken links send visitors to dead ends and waste the ranking signals this page passes on.",
+      technicalReason: `${listed}${count > 15 ? `; and ${count - 15} more` : ""}.`,
+      expectedImpactRange: isCommercial ? "Medium-High" : "Medium",
+      steps: [
+        "Update each link to the correct live URL.",
+        "Remove links to pages that no longer exist and have no replacement.",
+        "Redirect removed URLs that still have external links or traffic.",
+      ],
+      score: isCommercial ? 74 : 60,
+    }),
+  ];
+}
+
+/**
+ * After the crawl, map every internal URL that ended non-2xx or failed to
+ * the pages and anchors linking to it. Sources get a broken_links list on
+ * their crawl row and a "fix broken links" action.
+ */
+async function reportBrokenLinks({ snapshotId, summaryState }) {
+  const rows = await loadSnapshotCrawlRows(
+    snapshotId,
+    "page_id, url, final_url, status_code, fetch_error, page_type, link_edges, broken_links"
+  );
+
+  const brokenByUrl = new Map();
+  for (const row of rows) {
+    const broken = !row.status_code || row.status_code < 200 || row.status_code >= 300;
+    if (!broken) continue;
+    for (const url of [row.url, row.final_url]) {
+      if (url) brokenByUrl.set(url, row);
+    }
+  }
+
+  await deletePageActionsOfTypes(snapshotId, ["fix_broken_links"]);
+
+  const report = [];
+  const targets = new Set();
+
+  for (const row of rows) {
+    const linksByTarget = new Map();
+    for (const edge of row.link_edges || []) {
+      const target = brokenByUrl.get(edge.target);
+      if (!target || target === row) continue;
+      if (!linksByTarget.has(edge.target)) {
+        linksByTarget.set(edge.target, { target: edge.target, status: describeLinkTargetStatus(target), anchors: [] });
+      }
+      const link = linksByTarget.get(edge.target);
+      if (!link.anchors.includes(edge.anchor)) link.anchors.push(edge.anchor);
+    }
+    const brokenLinks = [...linksByTarget.values()];
+
+    // Rows reused from the previous snapshot may carry a stale list
+    if (!brokenLinks.length && !(row.broken_links || []).length) continue;
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ broken_links: brokenLinks.length ? brokenLinks : null })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[broken links] page=${row.page_id}`, error.message);
+
+    for (const link of brokenLinks) {
+      targets.add(link.target);
+      report.push({ source: row.final_url || row.url, ...link });
+    }
+
+    await appendActions({ snapshotId, pageId: row.page_id, actions: buildBrokenLinkActions(row, brokenLinks) });
+  }
+
+  summaryState.broken_links = {
+    targets: targets.size,
+    sources: new Set(report.map((link) => link.source)).size,
+    links: report.length,
+    list: report.slice(0, 500),
+  };
+  console.log(`[broken links] targets=${targets.size} links=${report.length}`);
+}
+
+function buildRedirectLinkActions(row, redirectLinks) {
+  if (!redirectLinks.length) return [];
+  const isCommercial = isCommercialPageType(row.page_type);
+  const count = redirectLinks.length;
+  const listed = redirectLinks
+    .slice(0, 15)
+    .map((link) => `${link.target} → ${link.final_url}`)
+    .join("; ");
+
+  return [
+    createPageAction({
+      actionType: "update_links_to_redirects",
+      titleText: `Update ${count} internal link${count > 1 ? "s" : ""} that point at redirects`,
+      summary: `This page links to ${count} internal URL${count > 1 ? "s" : ""} that redirect elsewhere.`,
+      whyItMatters: "Every visit and crawl through these links takes an extra hop, and linking to the old URL blurs which URL is canonical.",
+      technicalReason: `Redirecting link → final URL: ${listed}${count > 15 ? `; and ${count - 15} more` : ""}.`,
+      expectedImpactRange: "Low-Medium",
+      steps: [
+        "Change each link to point straight at its final URL.",
+        "Fix navigation and footer templates first, since they repeat on every page.",
       ],
-    });
+      score: isCommercial ? 56 : 46,
+    }),
+  ];
+}
+
+/**
+ * After the crawl, find every internal link that points at a URL which
+ * redirects to a live page. Sources get a redirect_links list on their crawl
+ * row and an "update links" action; the summary keeps the site-wide list.
+ * Links to redirects ending in an error are reported by reportBrokenLinks instead.
+ */
+async function reportLinksToRedirects({ snapshotId, summaryState }) {
+  const rows = await loadSnapshotCrawlRows(
+    snapshotId,
+    "page_id, url, final_url, status_code, page_type, redirect_chain, link_edges, redirect_links"
+  );
+
+  const redirectsByUrl = new Map();
+  for (const row of rows) {
+    const live = row.status_code >= 200 && row.status_code < 300;
+    if (live && row.url && row.final_url && (row.redirect_chain || []).length) redirectsByUrl.set(row.url, row);
   }
 
-  if (issues.non_indexable_pages > 0 && issues.non_indexable_pages < pages_crawled) {
-    actions.push({
-      action_type: "site_non_indexable_pages",
-      title: `${issues.non_indexable_pages} page${issues.non_indexable_pages > 1 ? "s" : ""} blocked from indexing`,
-      severity: "high",
-      why_it_matters: "Non-indexable pages are invisible to search engines and generate zero organic traffic.",
-      technical_reason: "These pages have noindex directives or canonical tags pointing elsewhere.",
-      expected_impact_range: "High",
+  await deletePageActionsOfTypes(snapshotId, ["update_links_to_redirects"]);
+
+  const linked = [];
+  for (const row of rows) {
+    const linksByTarget = new Map();
+    for (const edge of row.link_edges || []) {
+      const target = redirectsByUrl.get(edge.target);
+      if (!target || target === row || linksByTarget.has(edge.target)) continue;
+      linksByTarget.set(edge.target, { target: edge.target, final_url: target.final_url });
+    }
+    const redirectLinks = [...linksByTarget.values()];
+
+    // Rows reused from the previous snapshot may carry a stale list
+    if (!redirectLinks.length && !(row.redirect_links || []).length) continue;
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ redirect_links: redirectLinks.length ? redirectLinks : null })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[linked redirects] page=${row.page_id}`, error.message);
+
+    for (const link of redirectLinks) {
+      linked.push({ source: row.final_url || row.url, url: link.target, final_url: link.final_url });
+    }
+
+    await appendActions({ snapshotId, pageId: row.page_id, actions: buildRedirectLinkActions(row, redirectLinks) });
+  }
+
+  summaryState.redirects.linked_redirects = linked.slice(0, 500);
+  summaryState.redirects.linked_redirect_count = linked.length;
+  console.log(`[linked redirects] targets=${new Set(linked.map((link) => link.url)).size} links=${linked.length}`);
+}
+
+// ─── External links ──────────────────────────────────────────────────────────
+
+const EXTERNAL_LINKS_PER_PAGE = 300;
+const EXTERNAL_LINK_ACTION_TYPES = [
+  "fix_broken_outbound_links",
+  "update_outbound_redirects",
+  "remove_flagged_outbound_links",
+  "review_outbound_link_volume",
+];
+
+// jobId → Map<url, result>; dropped when the job ends
+const jobExternalLinkCache = new Map();
+
+function deleteExternalLinkCache(jobId) {
+  jobExternalLinkCache.delete(jobId);
+}
+
+function isBrokenExternalResult(result) {
+  if (result.error) return true;
+  // 401/403/429 usually mean bot protection, not a dead page
+  return result.status === 404 || result.status === 410 || result.status >= 500;
+}
+
+async function requestExternalUrl(method, url, fetchProfile) {
+  const response = await axios.request({
+    method,
+    url,
+    headers: buildBrowserHeaders(url, null, fetchProfile),
+    timeout: REQUEST_TIMEOUT_MS,
+    maxRedirects: MAX_REDIRECTS,
+    responseType: "stream",
+    validateStatus: () => true,
+  });
+  // Only the status matters; drop the body unread
+  response.data?.destroy?.();
+  return {
+    status: response.status,
+    final_url: response.request?.res?.responseUrl || url,
+  };
+}
+
+/** HEAD first, then GET for servers that refuse or mishandle HEAD. Cached. */
+async function checkExternalUrl(url, { jobId, fetchProfile }) {
+  if (!jobExternalLinkCache.has(jobId)) jobExternalLinkCache.set(jobId, new Map());
+  const cache = jobExternalLinkCache.get(jobId);
+  if (cache.has(url)) return cache.get(url);
+
+  let result;
+  try {
+    let response = await requestExternalUrl("HEAD", url, fetchProfile).catch(() => null);
+    if (!response || [403, 405, 501].includes(response.status) || response.status >= 500) {
+      response = await requestExternalUrl("GET", url, fetchProfile);
+    }
+    result = {
+      status: response.status,
+      final_url: response.final_url,
+      redirected: response.final_url !== url,
+      error: null,
+    };
+  } catch (err) {
+    result = { status: null, final_url: null, redirected: false, error: err.code || err.message };
+  }
+
+  cache.set(url, result);
+  return result;
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  const queue = [...items];
+  const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length) await worker(queue.shift());
+  });
+  await Promise.all(runners);
+}
+
+function buildExternalLinkActions(row, findings) {
+  const isCommercial = isCommercialPageType(row.page_type);
+  const list = (links) => links.slice(0, 10).map((link) => link.detail).join("; ") + (links.length > 10 ? `; and ${links.length - 10} more` : "");
+  const actions = [];
+
+  if (findings.flagged.length) {
+    actions.push(createPageAction({
+      actionType: "remove_flagged_outbound_links",
+      titleText: "Remove links to unsafe sites",
+      summary: "This page links to domains flagged for malware, phishing or unwanted software.",
+      whyItMatters: "Linking to unsafe sites puts visitors at risk and can lead search engines and browsers to distrust your site.",
+      technicalReason: list(findings.flagged),
+      expectedImpactRange: "High",
+      steps: ["Remove the links, or replace them with a safe source.", "Check whether the page or comments were tampered with."],
+      score: 92,
+    }));
+  }
+
+  if (findings.broken.length) {
+    actions.push(createPageAction({
+      actionType: "fix_broken_outbound_links",
+      titleText: `Fix ${findings.broken.length} broken outbound link${findings.broken.length > 1 ? "s" : ""}`,
+      summary: "This page links to external pages that are gone or erroring.",
+      whyItMatters: "Dead outbound links frustrate visitors and make content look neglected.",
+      technicalReason: list(findings.broken),
+      expectedImpactRange: "Low-Medium",
+      steps: ["Update each link to the resource's current URL, or link to an alternative.", "Remove links with no replacement."],
+      score: isCommercial ? 52 : 44,
+    }));
+  }
+
+  if (findings.redirected.length) {
+    actions.push(createPageAction({
+      actionType: "update_outbound_redirects",
+      titleText: "Update redirected outbound links",
+      summary: "Some outbound links redirect to a different URL.",
+      whyItMatters: "Linking straight to the final URL is faster for visitors and avoids links silently changing destination.",
+      technicalReason: list(findings.redirected),
+      expectedImpactRange: "Low",
+      steps: ["Replace each link with the URL it redirects to."],
+      score: 30,
+    }));
+  }
+
+  if (findings.followedCount > EXCESSIVE_OUTBOUND_LINKS) {
+    actions.push(createPageAction({
+      actionType: "review_outbound_link_volume",
+      titleText: "Review the number of followed outbound links",
+      summary: `This page has ${findings.followedCount} followed outbound links.`,
+      whyItMatters: "Large numbers of followed outbound links can look like a link scheme and dilute the page's focus.",
+      technicalReason: `${findings.followedCount} followed outbound links, above the ${EXCESSIVE_OUTBOUND_LINKS} threshold.`,
+      expectedImpactRange: "Low-Medium",
       steps: [
-        "Review each non-indexable page and confirm it should be blocked.",
-        "For pages that should rank, remove noindex tags and fix canonical issues.",
-        "Submit corrected pages to Google Search Console for re-indexing.",
+        "Remove outbound links that add nothing for visitors.",
+        "Mark paid or affiliate links rel=\"sponsored\" and user-submitted links rel=\"ugc\".",
       ],
+      score: 42,
+    }));
+  }
+
+  return actions;
+}
+
+/**
+ * Optional pass (job.check_external_links): check every unique outbound URL
+ * and flagged domains, then attach findings and actions to the linking pages.
+ * Pages with many followed outbound links are flagged without any fetching.
+ */
+async function checkExternalLinks({ snapshotId, jobId, summaryState, fetchProfile }) {
+  const rows = (await loadSnapshotCrawlRows(snapshotId, "page_id, final_url, page_type, external_links, external_link_findings"))
+    .filter((row) => row.final_url);
+
+  const urls = [...new Set(rows.flatMap((row) => (row.external_links || []).map((link) => link.url)))];
+  const toCheck = urls.slice(0, EXTERNAL_LINK_MAX_CHECKS);
+  const results = new Map();
+  await runWithConcurrency(toCheck, EXTERNAL_LINK_CONCURRENCY, async (url) => {
+    results.set(url, await checkExternalUrl(url, { jobId, fetchProfile }));
+  });
+
+  const domains = [...new Set(toCheck.map((url) => safeUrl(url)?.hostname).filter(Boolean))];
+  const flaggedDomains = new Set();
+  await runWithConcurrency(domains, EXTERNAL_LINK_CONCURRENCY, async (domain) => {
+    if (await safeBrowsingCheck(`https://${domain}/`)) flaggedDomains.add(domain);
+  });
+
+  await deletePageActionsOfTypes(snapshotId, EXTERNAL_LINK_ACTION_TYPES);
+
+  const totals = { broken: new Set(), redirected: new Set(), flagged: new Set(), excessive_pages: [] };
+
+  for (const row of rows) {
+    const findings = { broken: [], redirected: [], flagged: [], followedCount: 0 };
+    const seen = new Set();
+
+    for (const link of row.external_links || []) {
+      if (!link.nofollow && !link.sponsored && !link.ugc) findings.followedCount += 1;
+      if (seen.has(link.url)) continue;
+      seen.add(link.url);
+
+      const domain = safeUrl(link.url)?.hostname;
+      if (flaggedDomains.has(domain)) {
+        findings.flagged.push({ url: link.url, detail: `${link.url} (${domain} is flagged by Web Risk)` });
+        totals.flagged.add(domain);
+      }
+      const result = results.get(link.url);
+      if (!result) continue;
+      if (isBrokenExternalResult(result)) {
+        findings.broken.push({ url: link.url, detail: `${link.url} (${result.status ? `HTTP ${result.status}` : result.error})` });
+        totals.broken.add(link.url);
+      } else if (result.redirected) {
+        findings.redirected.push({ url: link.url, detail: `${link.url} → ${result.final_url}` });
+        totals.redirected.add(link.url);
+      }
+    }
+
+    const excessive = findings.followedCount > EXCESSIVE_OUTBOUND_LINKS;
+    if (excessive) totals.excessive_pages.push({ url: row.final_url, followed: findings.followedCount });
+
+    const hasFindings = findings.broken.length || findings.redirected.length || findings.flagged.length || excessive;
+    // Rows reused from the previous snapshot may carry stale findings
+    if (!hasFindings && !row.external_link_findings) continue;
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ external_link_findings: hasFindings ? findings : null })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[external links] page=${row.page_id}`, error.message);
+
+    await appendActions({ snapshotId, pageId: row.page_id, actions: buildExternalLinkActions(row, findings) });
+  }
+
+  summaryState.external_links = {
+    enabled: true,
+    unique_urls: urls.length,
+    checked: toCheck.length,
+    broken: [...totals.broken].slice(0, 100),
+    redirected_count: totals.redirected.size,
+    flagged_domains: [...totals.flagged],
+    excessive_pages: totals.excessive_pages.sort((a, b) => b.followed - a.followed).slice(0, 20),
+  };
+  console.log(
+    `[external links] urls=${urls.length} checked=${toCheck.length} broken=${totals.broken.size} redirected=${totals.redirected.size} flagged_domains=${totals.flagged.size}`
+  );
+}
+
+// ─── Image sizes ─────────────────────────────────────────────────────────────
+
+// jobId → Map<url, bytes>; dropped when the job ends
+const jobImageSizeCache = new Map();
+
+function deleteImageSizeCache(jobId) {
+  jobImageSizeCache.delete(jobId);
+}
+
+/** Content-Length from a HEAD request; null when the server does not send one. */
+async function fetchImageBytes(url, { jobId, fetchProfile }) {
+  if (!jobImageSizeCache.has(jobId)) jobImageSizeCache.set(jobId, new Map());
+  const cache = jobImageSizeCache.get(jobId);
+  if (cache.has(url)) return cache.get(url);
+
+  let bytes = null;
+  try {
+    const response = await axios.head(url, {
+      headers: buildBrowserHeaders(url, null, fetchProfile),
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: MAX_REDIRECTS,
+      validateStatus: () => true,
     });
+    const length = Number(response.headers?.["content-length"]);
+    if (response.status >= 200 && response.status < 300 && length > 0) bytes = length;
+  } catch (err) {
+    console.warn(`[image sizes] HEAD failed for ${url}: ${err.code || err.message}`);
   }
 
-  if (issues.thin_content_pages >= 2) {
-    const p = pct(issues.thin_content_pages);
-    actions.push({
-      action_type: "site_thin_content",
-      title: `${issues.thin_content_pages} pages have thin content`,
-      severity: p >= 50 ? "high" : "medium",
-      why_it_matters: "Thin content dilutes topical authority and suppresses rankings across your whole site, not just the thin pages.",
-      technical_reason: `${p}% of crawled pages fall below the word-count threshold for their page type.`,
-      expected_impact_range: "Medium-High",
+  cache.set(url, bytes);
+  return bytes;
+}
+
+function buildOversizedImageAction(row, oversized) {
+  const isCommercial = isCommercialPageType(row.page_type);
+  return createPageAction({
+    actionType: "compress_large_images",
+    titleText: `Compress ${oversized.length} large image${oversized.length > 1 ? "s" : ""}`,
+    summary: `Some images on this page are over ${Math.round(IMAGE_MAX_BYTES / 1024)} KB.`,
+    whyItMatters: "Heavy images slow down loading, especially on mobile, and often delay Largest Contentful Paint.",
+    technicalReason: oversized
+      .slice(0, 10)
+      .map((image) => `${image.url} (${Math.round(image.bytes / 1024)} KB)`)
+      .join(", ") + (oversized.length > 10 ? ` and ${oversized.length - 10} more` : "") + ".",
+    expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
+    steps: [
+      "Resize each image to the largest size it is displayed at.",
+      "Compress it and serve it as WebP or AVIF.",
+    ],
+    score: isCommercial ? 54 : 42,
+  });
+}
+
+/**
+ * Optional pass (job.check_image_sizes): HEAD every unique image URL, record
+ * images over IMAGE_MAX_BYTES on each page's image audit and rescore images.
+ */
+async function checkImageSizes({ snapshotId, jobId, summaryState, fetchProfile }) {
+  const rows = (await loadSnapshotCrawlRows(snapshotId, "page_id, final_url, page_type, images, image_audit"))
+    .filter((row) => row.final_url && row.image_audit?.count);
+
+  const urls = [
+    ...new Set(
+      rows.flatMap((row) => (row.images || []).map((image) => image.src).filter((src) => /^https?:/.test(src || "")))
+    ),
+  ];
+  const toCheck = urls.slice(0, IMAGE_SIZE_MAX_CHECKS);
+  const sizes = new Map();
+  await runWithConcurrency(toCheck, EXTERNAL_LINK_CONCURRENCY, async (url) => {
+    sizes.set(url, await fetchImageBytes(url, { jobId, fetchProfile }));
+  });
+
+  const metricsByPage = new Map(
+    (await loadSnapshotMetricsRows(snapshotId, "page_id, image_score")).map((row) => [row.page_id, row])
+  );
+  await deletePageActionsOfTypes(snapshotId, ["compress_large_images"]);
+
+  const oversizedTotals = new Map();
+
+  for (const row of rows) {
+    const oversized = [...new Set((row.images || []).map((image) => image.src))]
+      .filter((url) => sizes.get(url) > IMAGE_MAX_BYTES)
+      .map((url) => ({ url, bytes: sizes.get(url) }))
+      .sort((a, b) => b.bytes - a.bytes);
+    for (const image of oversized) oversizedTotals.set(image.url, image.bytes);
+
+    // Rows reused from the previous snapshot may carry a stale list
+    if (!oversized.length && !row.image_audit.oversized?.length) continue;
+
+    const imageAudit = { ...row.image_audit, oversized: oversized.map((image) => image.url) };
+    const imageScore = computeImageScore(imageAudit);
+
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({ image_audit: imageAudit })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[image sizes] page=${row.page_id}`, error.message);
+
+    const previousScore = metricsByPage.get(row.page_id)?.image_score;
+    const { error: metricsError } = await supabase
+      .from("scc_page_snapshot_metrics")
+      .update({ image_score: imageScore })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (metricsError) console.error(`[image sizes] metrics page=${row.page_id}`, metricsError.message);
+    if (summaryState && previousScore != null) replaceSummaryScore(summaryState.score_lists.image, previousScore, imageScore);
+
+    if (oversized.length) {
+      await appendActions({ snapshotId, pageId: row.page_id, actions: [buildOversizedImageAction(row, oversized)] });
+    }
+  }
+
+  if (summaryState) {
+    summaryState.images.sizes_checked = toCheck.length;
+    summaryState.images.oversized = [...oversizedTotals]
+      .map(([url, bytes]) => ({ url, bytes }))
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, 50);
+  }
+  console.log(`[image sizes] urls=${urls.length} checked=${toCheck.length} oversized=${oversizedTotals.size}`);
+}
+
+// ─── Social previews ─────────────────────────────────────────────────────────
+
+// Facebook/LinkedIn show a large card from 1200×630; below 600×315 the image shrinks to a thumbnail
+const SOCIAL_IMAGE_RECOMMENDED = { width: 1200, height: 630 };
+const SOCIAL_IMAGE_MINIMUM = { width: 600, height: 315 };
+const SOCIAL_IMAGE_MAX_CHECKS = 100;
+// Enough of the file to find the dimensions in any PNG, GIF, WebP or JPEG header
+const SOCIAL_IMAGE_HEAD_BYTES = 64 * 1024;
+const SOCIAL_IMAGE_ISSUE_TYPES = ["og_image_unreachable", "og_image_small"];
+
+// jobId → Map<url, result>; dropped when the job ends
+const jobSocialImageCache = new Map();
+
+function deleteSocialImageCache(jobId) {
+  jobSocialImageCache.delete(jobId);
+}
+
+/** Raw og:* and twitter:* values; the first occurrence of each property wins. */
+function extractSocialMeta($) {
+  const og = {};
+  const twitter = {};
+  $("meta[property], meta[name]").each((_, el) => {
+    const key = ($(el).attr("property") || $(el).attr("name") || "").trim().toLowerCase();
+    const value = cleanText($(el).attr("content") || "");
+    if (!value) return;
+    if (key.startsWith("og:")) {
+      const field = key.slice(3).replace(/[:.]/g, "_");
+      if (!(field in og)) og[field] = value.slice(0, 500);
+    } else if (key.startsWith("twitter:")) {
+      const field = key.slice(8).replace(/[:.]/g, "_");
+      if (!(field in twitter)) twitter[field] = value.slice(0, 500);
+    }
+  });
+  return { og, twitter };
+}
+
+/**
+ * What a share card would show: og:* first, then twitter:*, then the page's
+ * own title, meta description and canonical. `fallbacks` lists the fields
+ * not taken from Open Graph.
+ */
+function buildSocialPreview(social, { url, title, metaDescription, canonicalResolved }) {
+  const { og, twitter } = social;
+  const fallbacks = [];
+  const pick = (field, ...candidates) => {
+    const value = candidates.find(Boolean) || null;
+    if (value && value !== candidates[0]) fallbacks.push(field);
+    return value;
+  };
+  const image = og.image || og.image_url || og.image_secure_url || twitter.image || twitter.image_src || null;
+  const previewUrl = (og.url && resolveHref(og.url, url)) || canonicalResolved || url;
+
+  return {
+    title: pick("title", og.title, twitter.title, title),
+    description: pick("description", og.description, twitter.description, metaDescription),
+    image: image ? safeUrl(image, url)?.toString() || null : null,
+    image_alt: og.image_alt || twitter.image_alt || null,
+    image_width: Number(og.image_width) || null,
+    image_height: Number(og.image_height) || null,
+    url: previewUrl,
+    domain: safeUrl(previewUrl)?.hostname || null,
+    site_name: og.site_name || null,
+    type: og.type || null,
+    twitter_card: twitter.card || null,
+    fallbacks,
+  };
+}
+
+function validateSocialMeta(social, { url, canonicalResolved }) {
+  const { og, twitter } = social;
+  const issues = [];
+
+  if (!og.title) issues.push({ type: "missing_og_title", detail: "No og:title" });
+  if (!og.description) issues.push({ type: "missing_og_description", detail: "No og:description" });
+  if (!og.image && !og.image_url && !og.image_secure_url) issues.push({ type: "missing_og_image", detail: "No og:image" });
+  else if (!/^https?:\/\//i.test(og.image || og.image_url || og.image_secure_url)) {
+    issues.push({ type: "og_image_relative", detail: `og:image is not an absolute URL: ${og.image || og.image_url || og.image_secure_url}` });
+  }
+
+  if (og.url) {
+    const ogUrl = resolveHref(og.url, url);
+    const expected = canonicalResolved || normalizeUrl(url);
+    if (ogUrl !== expected) {
+      issues.push({ type: "og_url_mismatch", detail: `og:url ${og.url} differs from the ${canonicalResolved ? "canonical" : "page URL"} ${expected}` });
+    }
+  }
+
+  if (!twitter.card) issues.push({ type: "missing_twitter_card", detail: "No twitter:card" });
+
+  return issues;
+}
+
+function buildSocialActions({ socialFindings, pageType }) {
+  if (!socialFindings?.length) return [];
+  const isCommercial = isCommercialPageType(pageType);
+  const byType = (...types) => socialFindings.filter((issue) => types.includes(issue.type));
+  const actions = [];
+
+  const missing = byType("missing_og_title", "missing_og_description", "missing_og_image", "og_image_relative");
+  if (missing.length) {
+    actions.push(createPageAction({
+      actionType: "add_open_graph_tags",
+      titleText: "Complete the Open Graph tags",
+      summary: "Links to this page will not show a proper preview on LinkedIn, Facebook or Slack.",
+      whyItMatters: "Without og:title, og:description and og:image, social platforms guess or show a bare link, which gets far fewer clicks.",
+      technicalReason: missing.map((issue) => issue.detail).join("; ") + ".",
+      expectedImpactRange: isCommercial ? "Medium" : "Low-Medium",
       steps: [
-        "Identify thin pages and decide: expand, consolidate, or noindex.",
-        "Prioritise expanding content on commercial and service pages first.",
-        "Consider merging thin related pages into comprehensive hub pages.",
+        "Add og:title, og:description and an absolute og:image URL to the page head.",
+        "Use an image of at least 1200×630 pixels.",
+        "Check the result with LinkedIn's Post Inspector or Facebook's Sharing Debugger.",
       ],
+      score: isCommercial ? 48 : 36,
+    }));
+  }
+
+  const mismatch = byType("og_url_mismatch");
+  if (mismatch.length) {
+    actions.push(createPageAction({
+      actionType: "fix_og_url",
+      titleText: "Point og:url at the canonical URL",
+      summary: "og:url and the canonical disagree.",
+      whyItMatters: "Shares and likes are counted against og:url, so a mismatch splits them across URLs or previews the wrong page.",
+      technicalReason: mismatch[0].detail + ".",
+      expectedImpactRange: "Low",
+      steps: ["Output the canonical URL in og:url."],
+      score: 30,
+    }));
+  }
+
+  if (byType("missing_twitter_card").length && !missing.length) {
+    actions.push(createPageAction({
+      actionType: "add_twitter_card",
+      titleText: "Add a twitter:card tag",
+      summary: "No twitter:card is set, so X shows a small preview.",
+      whyItMatters: "X uses Open Graph for the content, but needs twitter:card to show a large image card.",
+      technicalReason: "No twitter:card meta tag was found.",
+      expectedImpactRange: "Low",
+      steps: ["Add <meta name=\"twitter:card\" content=\"summary_large_image\">."],
+      score: 18,
+    }));
+  }
+
+  return actions;
+}
+
+// Width/height from the first bytes of a PNG, GIF, WebP or JPEG; null for other formats
+function readImageDimensions(buffer) {
+  if (buffer.length >= 24 && buffer.toString("ascii", 1, 4) === "PNG") {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "GIF") {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = buffer.toString("ascii", 12, 16);
+    if (chunk === "VP8 ") return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (chunk === "VP8L") {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X") return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+function readStreamHead(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    const finish = () => resolve(Buffer.concat(chunks));
+    stream.on("data", (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= limit) {
+        stream.destroy();
+        finish();
+      }
     });
+    stream.on("end", finish);
+    stream.on("error", reject);
+  });
+}
+
+/** Fetch the start of a share image to confirm it loads and read its dimensions. Cached. */
+async function checkSocialImage(url, { jobId, fetchProfile }) {
+  if (!jobSocialImageCache.has(jobId)) jobSocialImageCache.set(jobId, new Map());
+  const cache = jobSocialImageCache.get(jobId);
+  if (cache.has(url)) return cache.get(url);
+
+  let result;
+  try {
+    const response = await axios.get(url, {
+      headers: { ...buildBrowserHeaders(url, null, fetchProfile), Accept: "image/*", Range: `bytes=0-${SOCIAL_IMAGE_HEAD_BYTES - 1}` },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: MAX_REDIRECTS,
+      responseType: "stream",
+      validateStatus: () => true,
+    });
+    const contentType = String(response.headers?.["content-type"] || "").toLowerCase();
+    const ok = response.status >= 200 && response.status < 300 && contentType.startsWith("image/");
+    if (!ok) response.data?.destroy?.();
+    const head = ok ? await readStreamHead(response.data, SOCIAL_IMAGE_HEAD_BYTES) : null;
+    result = {
+      status: response.status,
+      content_type: contentType || null,
+      ok,
+      dimensions: head ? readImageDimensions(head) : null,
+      error: null,
+    };
+  } catch (err) {
+    result = { status: null, content_type: null, ok: false, dimensions: null, error: err.code || err.message };
+  }
+
+  cache.set(url, result);
+  return result;
+}
+
+function buildSocialImageAction(row, issues) {
+  const isCommercial = isCommercialPageType(row.page_type);
+  const unreachable = issues.some((issue) => issue.type === "og_image_unreachable");
+  const belowMinimum = issues.some((issue) => issue.below_minimum);
+  return createPageAction({
+    actionType: "fix_social_preview_image",
+    titleText: unreachable ? "Fix the broken share image" : "Use a larger share image",
+    summary: unreachable
+      ? "The og:image for this page does not load, so shares show no image."
+      : `The og:image is smaller than the recommended ${SOCIAL_IMAGE_RECOMMENDED.width}×${SOCIAL_IMAGE_RECOMMENDED.height}.`,
+    whyItMatters: "Posts with a large, sharp preview image get noticeably more clicks on LinkedIn, Facebook and X.",
+    technicalReason: issues.map((issue) => issue.detail).join("; ") + ".",
+    expectedImpactRange: unreachable || belowMinimum ? (isCommercial ? "Medium" : "Low-Medium") : "Low",
+    steps: [
+      unreachable ? "Point og:image at an image URL that loads without login or bot blocking." : "Export the share image at 1200×630 pixels.",
+      "Re-scrape the URL in LinkedIn's Post Inspector and Facebook's Sharing Debugger.",
+    ],
+    score: unreachable ? (isCommercial ? 52 : 40) : belowMinimum ? 38 : 24,
+  });
+}
+
+/**
+ * Fetch each unique og:image, flag images that fail to load or are below
+ * the recommended size, and store the detected dimensions on the preview.
+ */
+async function checkSocialImages({ snapshotId, jobId, summaryState, fetchProfile }) {
+  const rows = (await loadSnapshotCrawlRows(snapshotId, "page_id, final_url, page_type, social_preview, social_findings"))
+    .filter((row) => row.final_url && row.social_preview);
+
+  const urls = [...new Set(rows.map((row) => row.social_preview.image).filter((url) => /^https?:/.test(url || "")))];
+  const toCheck = urls.slice(0, SOCIAL_IMAGE_MAX_CHECKS);
+  const results = new Map();
+  await runWithConcurrency(toCheck, EXTERNAL_LINK_CONCURRENCY, async (url) => {
+    results.set(url, await checkSocialImage(url, { jobId, fetchProfile }));
+  });
+
+  await deletePageActionsOfTypes(snapshotId, ["fix_social_preview_image"]);
+
+  const broken = new Set();
+  const small = new Map();
+
+  for (const row of rows) {
+    const preview = row.social_preview;
+    const result = results.get(preview.image);
+    const pageIssues = (row.social_findings || []).filter((issue) => !SOCIAL_IMAGE_ISSUE_TYPES.includes(issue.type));
+    const imageIssues = [];
+
+    if (result && !result.ok) {
+      imageIssues.push({
+        type: "og_image_unreachable",
+        detail: !result.status
+          ? `${preview.image} failed to load (${result.error})`
+          : result.status < 300
+            ? `${preview.image} is not an image (${result.content_type || "no content type"})`
+            : `${preview.image} returned HTTP ${result.status}`,
+      });
+      broken.add(preview.image);
+    }
+
+    const dimensions = result?.dimensions || (preview.image_width && preview.image_height ? { width: preview.image_width, height: preview.image_height } : null);
+    if (result?.ok && dimensions && (dimensions.width < SOCIAL_IMAGE_RECOMMENDED.width || dimensions.height < SOCIAL_IMAGE_RECOMMENDED.height)) {
+      const belowMinimum = dimensions.width < SOCIAL_IMAGE_MINIMUM.width || dimensions.height < SOCIAL_IMAGE_MINIMUM.height;
+      imageIssues.push({
+        type: "og_image_small",
+        detail: `${preview.image} is ${dimensions.width}×${dimensions.height}${belowMinimum ? `, below the ${SOCIAL_IMAGE_MINIMUM.width}×${SOCIAL_IMAGE_MINIMUM.height} minimum for a large card` : ""}`,
+        below_minimum: belowMinimum,
+      });
+      small.set(preview.image, dimensions);
+    }
+
+    const hadImageIssues = (row.social_findings || []).length !== pageIssues.length;
+    if (!result && !hadImageIssues) continue;
+
+    const socialFindings = [...pageIssues, ...imageIssues];
+    const { error } = await supabase
+      .from("scc_page_snapshot_crawl")
+      .update({
+        social_preview: {
+          ...preview,
+          image_width: result?.dimensions?.width || preview.image_width,
+          image_height: result?.dimensions?.height || preview.image_height,
+          image_ok: result ? result.ok : null,
+        },
+        social_findings: socialFindings.length ? socialFindings : null,
+      })
+      .eq("snapshot_id", snapshotId)
+      .eq("page_id", row.page_id);
+    if (error) console.error(`[social images] page=${row.page_id}`, error.message);
+
+    if (imageIssues.length) await appendActions({ snapshotId, pageId: row.page_id, actions: [buildSocialImageAction(row, imageIssues)] });
   }
 
-  if (avgStructural < 40 && pages_crawled >= 2) {
-    actions.push({
-      action_type: "site_low_structural",
-      title: `Site-wide structural SEO is weak (avg score: ${avgStructural}/100)`,
-      severity: "high",
-      why_it_matters: "Structural SEO is the foundation. A low average score indicates systemic technical debt that suppresses all pages simultaneously.",
-      technical_reason: `Average structural score across ${pages_crawled} pages is ${avgStructural}/100.`,
-      expected_impact_range: "High",
-      steps: [
-        "Work through the per-page recommendations starting with highest-opportunity pages.",
-        "Fix missing titles and meta descriptions across all pages.",
-        "Ensure every page has a clear H1 and proper heading hierarchy.",
-        "Improve internal linking so all key pages are reachable within 2 clicks from the homepage.",
-      ],
-    });
+  if (summaryState) {
+    summaryState.social.images_checked = toCheck.length;
+    summaryState.social.broken_images = [...broken].slice(0, 50);
+    summaryState.social.small_images = [...small].slice(0, 50).map(([url, size]) => ({ url, ...size }));
   }
+  console.log(`[social images] urls=${urls.length} checked=${toCheck.length} broken=${broken.size} small=${small.size}`);
+}
 
-  const hasService = (page_type_counts.service || 0) > 0;
-  const hasProduct = (page_type_counts.product || 0) > 0;
-  const hasPricing = (page_type_counts.pricing || 0) > 0;
-  const hasArticle = (page_type_counts.article || 0) > 0;
+// ─── Crawl checkpoints ───────────────────────────────────────────────────────
 
-  if (!hasPricing && (hasProduct || hasService) && pages_crawled >= 3) {
-    actions.push({
-      action_type: "site_missing_pricing_page",
-      title: "No pricing page found",
-      severity: "medium",
-      why_it_matters: "Pricing pages rank for high-intent 'cost' and 'pricing' queries and are among the highest-converting pages on any site.",
-      technical_reason: "No page was classified as a pricing or cost page during the crawl.",
-      expected_impact_range: "Medium-High",
-      steps: [
-        "Create a dedicated /pricing or /plans page.",
-        "Include pricing tiers, a features comparison, and a clear CTA.",
-        "Target keywords like '[product] pricing', '[service] cost', 'how much does X cost'.",
-      ],
-    });
-  }
+// Bump when the checkpoint shape changes; older checkpoints are then ignored
+const CHECKPOINT_VERSION = 11;
 
-  if (!hasArticle && pages_crawled >= 3) {
-    actions.push({
-      action_type: "site_no_content_strategy",
-      title: "No blog or content pages found",
-      severity: "medium",
-      why_it_matters: "Content pages drive top-of-funnel traffic and build topical authority, which lifts rankings for your commercial pages too.",
-      technical_reason: "No article, blog, or guide pages were discovered during the crawl.",
-      expected_impact_range: "Medium",
-      steps: [
-        "Start a blog or resources section targeting informational keywords in your niche.",
-        "Publish 2–4 articles per month consistently.",
-        "Internally link from blog posts back to your commercial and service pages.",
-      ],
-    });
+async function loadCrawlCheckpoint(jobId, snapshotId) {
+  const { data, error } = await supabase
+    .from("scc_crawl_jobs")
+    .select("checkpoint")
+    .eq("id", jobId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[checkpoint load] job=${jobId}`, error.message);
+    return null;
   }
 
-  if (actions.length === 0) return;
+  let checkpoint = data?.checkpoint || null;
+  if (typeof checkpoint === "string") {
+    try {
+      checkpoint = JSON.parse(checkpoint);
+    } catch {
+      checkpoint = null;
+    }
+  }
 
-  // Remove any stale site-wide actions for this snapshot
-  await supabase.from("scc_actions").delete()
-    .eq("snapshot_id", snapshotId)
-    .is("page_id", null);
+  if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) return null;
+  if (checkpoint.snapshot_id !== snapshotId) return null;
+  return checkpoint;
+}
 
-  const rows = actions.map((a, i) => ({
-    snapshot_id:           snapshotId,
-    page_id:               null,
-    action_type:           a.action_type,
-    title:                 a.title,
-    why_it_matters:        a.why_it_matters,
-    technical_reason:      a.technical_reason,
-    expected_impact_range: a.expected_impact_range,
-    steps:                 a.steps,
-    severity:              a.severity,
-    priority:              i + 1,
-    status:                "open",
-  }));
+async function saveCrawlCheckpoint(jobId, checkpoint) {
+  const { error } = await supabase
+    .from("scc_crawl_jobs")
+    .update({ checkpoint, checkpoint_at: checkpoint.saved_at })
+    .eq("id", jobId);
 
-  const { error } = await supabase.from("scc_actions").insert(rows);
   if (error) {
-    console.error(`[siteWideActions] snapshot=${snapshotId}`, error.message);
+    console.error(`[checkpoint save] job=${jobId}`, error.message);
   } else {
-    console.log(`[siteWideActions] inserted ${rows.length} site-wide actions for snapshot=${snapshotId}`);
+    console.log(`[checkpoint saved] job=${jobId} pages=${checkpoint.pages_done} queue=${checkpoint.queue.length}`);
+  }
+}
+
+async function clearCrawlCheckpoint(jobId) {
+  const { error } = await supabase
+    .from("scc_crawl_jobs")
+    .update({ checkpoint: null, checkpoint_at: null })
+    .eq("id", jobId);
+
+  if (error) console.error(`[checkpoint clear] job=${jobId}`, error.message);
+}
+
+async function discardRowsAfterCheckpoint(snapshotId, seenUrls) {
+  const { data: rows, error } = await supabase
+    .from("scc_page_snapshot_crawl")
+    .select("page_id, url, final_url")
+    .eq("snapshot_id", snapshotId);
+
+  if (error) {
+    console.error(`[checkpoint discard] snapshot=${snapshotId}`, error.message);
+    return;
+  }
+
+  const stalePageIds = (rows || [])
+    .filter((row) => !seenUrls.has(row.url) && !seenUrls.has(row.final_url))
+    .map((row) => row.page_id);
+
+  if (!stalePageIds.length) return;
+
+  for (const table of ["scc_actions", "scc_page_snapshot_metrics", "scc_page_snapshot_crawl"]) {
+    const { error: deleteError } = await supabase
+      .from(table)
+      .delete()
+      .eq("snapshot_id", snapshotId)
+      .in("page_id", stalePageIds);
+
+    if (deleteError) console.error(`[checkpoint discard] ${table}`, deleteError.message);
   }
+
+  console.log(`[checkpoint discard] removed ${stalePageIds.length} pages crawled after the checkpoint`);
 }
 
 async function updateJobProgress(jobId, pagesDone, errorsCount) {
@@ -2072,17 +7995,36 @@ async function processSinglePage({
   url,
   depth,
   seedUrl,
+  scope,
   summaryState,
+  renderJs = false,
+  sitemapEntry = null,
+  waitForHostSlot = null,
+  previousCrawl = null,
+  // Off for the full re-fetch after a 304 that could not be reused
+  conditionalFetch = true,
+  fetchProfile = DEFAULT_FETCH_PROFILE,
+  compareProfile = null,
 }) {
   let fetched;
   let fetchError = null;
 
   const referer = depth > 0 ? seedUrl : null;
 
+  const reusable = canReusePreviousCrawl(previousCrawl, { depth, sitemapEntry, fetchProfile });
+  const conditional = reusable && conditionalFetch
+    ? { url: previousCrawl.final_url || url, etag: previousCrawl.etag, lastModified: previousCrawl.last_modified }
+    : null;
+
   try {
-    fetched = await fetchHtml(url, { jobId, referer });
+    if (waitForHostSlot) await waitForHostSlot(url);
+    fetched = renderJs
+      ? await fetchRendered(url, { jobId, referer, profile: fetchProfile })
+      : await fetchHtml(url, { jobId, referer, conditional, profile: fetchProfile });
   } catch (err) {
     fetchError = err.message || "Unknown fetch error";
+    const redirectChain = err.redirectChain || [];
+    const redirectLoop = Boolean(err.redirectLoop);
 
     const pageType = classifyPageTypeFromSignals({ url });
     const pageId = await getOrCreatePage({ siteId, url, pageType });
@@ -2109,6 +8051,10 @@ async function processSinglePage({
         internal_link_depth: depth,
         page_type: pageType,
         fetch_error: fetchError,
+        in_sitemap: Boolean(sitemapEntry),
+        sitemap_lastmod: sitemapEntry?.lastmod || null,
+        redirect_chain: redirectChain,
+        redirect_count: redirectChain.length,
       },
     });
 
@@ -2170,12 +8116,15 @@ async function processSinglePage({
       revenueScore,
       internalLinkDepth: depth,
       loadMs: null,
+      redirectChain,
+      redirectLoop,
     });
 
     await replaceActions({ snapshotId, pageId, actions });
 
     if (summaryState) {
       summaryState.errors_count += 1;
+      registerIncrementalPage(summaryState, url, { previousCrawl, unchanged: false });
       registerSummaryPage(summaryState, {
         url,
         pageType,
@@ -2203,15 +8152,135 @@ async function processSinglePage({
       pageType,
       links: [],
       fetchError,
+      statusCode: null,
+      noindex: false,
+      canonicalUrl: null,
+      canonicalOk: false,
+      redirectChain,
+      redirectLoop,
     };
   }
 
   const finalUrl = fetched.finalUrl || url;
   const effectiveUrl = normalizeUrl(finalUrl) || normalizeUrl(url) || url;
+  const redirectChain = fetched.redirectChain || [];
+
+  // Incremental recrawl: a 304 or an identical content hash means the previous analysis still holds
+  const contentHash =
+    !renderJs && fetched.status === 200 && fetched.contentType.includes("text/html")
+      ? hashHtml(fetched.html)
+      : null;
+  // Header directives are outside the body hash, so a changed X-Robots-Tag counts as a change.
+  // A 304 need not repeat the header; one that drops it falls back to a full fetch.
+  const xRobotsTag = extractRobotsDirectives(null, fetched.headers || {}).xRobotsTag;
+  const unchanged =
+    Boolean(previousCrawl) &&
+    (xRobotsTag || null) === (previousCrawl.x_robots_tag || null) &&
+    (fetched.status === 304 || (Boolean(contentHash) && contentHash === previousCrawl.content_hash));
+
+  if (reusable && unchanged) {
+    const reused = await reusePreviousPage({
+      snapshotId,
+      previousCrawl,
+      url,
+      crawlOverrides: {
+        final_url: effectiveUrl,
+        load_ms: fetched.loadMs,
+        internal_link_depth: depth,
+        in_sitemap: Boolean(sitemapEntry),
+        sitemap_lastmod: sitemapEntry?.lastmod || null,
+        redirect_chain: redirectChain,
+        redirect_count: redirectChain.length,
+        etag: fetched.etag || previousCrawl.etag,
+        last_modified: fetched.lastModified || previousCrawl.last_modified,
+      },
+    });
+
+    if (reused) {
+      const { pageId, crawlRow, metricsRow } = reused;
+      console.log(`[page unchanged] ${effectiveUrl} (${fetched.status === 304 ? "304" : "same hash"}) reused from snapshot=${previousCrawl.snapshot_id}`);
+
+      if (summaryState) {
+        registerIncrementalPage(summaryState, effectiveUrl, { previousCrawl, unchanged: true, reused: true });
+        registerSummaryPage(summaryState, {
+          url: effectiveUrl,
+          pageType: crawlRow.page_type,
+          structuralScore: metricsRow.structural_score,
+          visibilityScore: metricsRow.visibility_score,
+          revenueScore: metricsRow.revenue_score,
+          paidRiskScore: metricsRow.paid_risk_score,
+          pageOpportunityScore: metricsRow.page_opportunity_score,
+          priorityBucket: metricsRow.priority_bucket,
+          indexable: metricsRow.indexable,
+          canonicalOk: metricsRow.canonical_ok,
+          hasTitle: metricsRow.has_title,
+          hasMeta: metricsRow.has_meta,
+          hasH1: metricsRow.has_h1,
+          wordCount: crawlRow.word_count || 0,
+          loadMs: crawlRow.load_ms,
+          internalLinkDepth: depth,
+          locationSignals: crawlRow.location_signals,
+          schemaFindings: crawlRow.schema_findings,
+          title: crawlRow.title,
+          metaDescription: crawlRow.meta_description,
+          h1Text: crawlRow.h1_text,
+          canonicalisedElsewhere: Boolean(crawlRow.canonical_resolved) && crawlRow.canonical_resolved !== effectiveUrl,
+          soft404: Boolean(crawlRow.soft_404),
+          imageScore: metricsRow.image_score,
+          imageAudit: crawlRow.image_audit,
+          headingFindings: crawlRow.heading_findings,
+          socialFindings: crawlRow.social_findings,
+          mainContentMethod: crawlRow.main_content_method,
+          boilerplateRatio: crawlRow.boilerplate_ratio,
+        });
+      }
+
+      return {
+        stored: true,
+        url: effectiveUrl,
+        pageId,
+        pageType: crawlRow.page_type,
+        links: crawlRow.internal_links || [],
+        fetchError: null,
+        statusCode: crawlRow.status_code,
+        noindex: Boolean(crawlRow.noindex),
+        canonicalUrl: crawlRow.canonical_url,
+        canonicalOk: metricsRow.canonical_ok,
+        redirectChain,
+        redirectLoop: false,
+        unchanged: true,
+      };
+    }
+  }
+
+  // The previous rows are gone or the headers changed; a 304 has no body, so fetch the page in full.
+  // The previous crawl is kept so the page still counts as changed or unchanged, not new.
+  if (fetched.status === 304) {
+    return processSinglePage({
+      siteId,
+      snapshotId,
+      jobId,
+      url,
+      depth,
+      seedUrl,
+      scope,
+      summaryState,
+      renderJs,
+      sitemapEntry,
+      waitForHostSlot,
+      previousCrawl,
+      conditionalFetch: false,
+      fetchProfile,
+      compareProfile,
+    });
+  }
 
   if (!fetched.contentType.includes("text/html")) {
     const pageType = classifyPageTypeFromSignals({ url: effectiveUrl });
     const pageId = await getOrCreatePage({ siteId, url: effectiveUrl, pageType });
+    // Non-HTML files can only carry directives in the X-Robots-Tag header
+    const robots = extractRobotsDirectives(null, fetched.headers || {});
+    const noindex = robots.effective.noindex || robots.effective.expired;
 
     await upsertPageSnapshotCrawl({
       snapshotId,
@@ -2229,12 +8298,17 @@ async function processSinglePage({
         h1_text: null,
         word_count: null,
         robots_meta: null,
-        noindex: false,
+        ...robotsDirectiveColumns(robots.xRobotsTag, robots.byAgent),
+        noindex,
         indexable: false,
         internal_links_count: 0,
         internal_link_depth: depth,
         page_type: pageType,
         fetch_error: null,
+        in_sitemap: Boolean(sitemapEntry),
+        sitemap_lastmod: sitemapEntry?.lastmod || null,
+        redirect_chain: redirectChain,
+        redirect_count: redirectChain.length,
       },
     });
 
@@ -2276,7 +8350,15 @@ async function processSinglePage({
       },
     });
 
-    await replaceActions({ snapshotId, pageId, actions: [] });
+    await replaceActions({
+      snapshotId,
+      pageId,
+      actions: dedupeAndLimitActions(
+        buildRedirectActions({ redirectChain, redirectLoop: false, pageType }),
+        pageType,
+        pageOpportunityScore
+      ),
+    });
 
     if (summaryState) {
       registerSummaryPage(summaryState, {
@@ -2297,6 +8379,7 @@ async function processSinglePage({
         loadMs: fetched.loadMs,
         internalLinkDepth: depth,
       });
+      registerIncrementalPage(summaryState, effectiveUrl, { previousCrawl, unchanged: false });
     }
 
     return {
@@ -2306,6 +8389,12 @@ async function processSinglePage({
       pageType,
       links: [],
       fetchError: null,
+      statusCode: fetched.status,
+      noindex,
+      canonicalUrl: null,
+      canonicalOk: true,
+      redirectChain,
+      redirectLoop: false,
     };
   }
 
@@ -2316,14 +8405,58 @@ async function processSinglePage({
     fetched.contentType,
     fetched.loadMs,
     depth,
-    seedUrl
+    scope,
+    fetched.headers
   );
 
   const pageType = extracted.pageType;
   const links = extracted.internalLinks;
   const pageId = await getOrCreatePage({ siteId, url: effectiveUrl, pageType });
 
-  const canonicalOk = evaluateCanonicalOk(effectiveUrl, extracted.canonicalUrl);
+  // render_js: keep the server-HTML view too so JS-only content can be flagged (skipped when the raw body is unavailable)
+  let rawExtracted = null;
+  let jsComparison = { jsDependent: false, reasons: [] };
+  if (renderJs && typeof fetched.rawHtml === "string") {
+    rawExtracted = extractSeoData(
+      fetched.rawHtml,
+      effectiveUrl,
+      fetched.status,
+      fetched.contentType,
+      fetched.loadMs,
+      depth,
+      scope,
+      fetched.headers
+    );
+    jsComparison = compareRawAndRendered(rawExtracted, extracted);
+  }
+
+  // Dual-fetch: key pages are fetched again as a second profile to catch UA-dependent content
+  let profileDifferences = [];
+  const profileCompared = Boolean(compareProfile) && DUAL_FETCH_PAGE_TYPES.includes(pageType);
+  if (profileCompared) {
+    profileDifferences = await fetchProfileComparison({
+      url,
+      primary: extracted,
+      profile: compareProfile,
+      renderJs,
+      waitForHostSlot,
+      depth,
+      scope,
+    });
+    if (profileDifferences.length) {
+      console.log(`[profile compare] ${effectiveUrl} differs as ${compareProfile}: ${profileDifferences.map((d) => d.field).join(", ")}`);
+    }
+  }
+
+  // Soft 404: a 2xx page that is really an error page (never the seed)
+  const soft404 =
+    depth > 0 && extracted.statusCode >= 200 && extracted.statusCode < 300
+      ? detectSoft404(extracted, await getSoft404Template(jobId, effectiveUrl, { fetchProfile, renderJs, waitForHostSlot }))
+      : { soft404: false, reasons: [] };
+  if (soft404.soft404) console.log(`[soft404] ${effectiveUrl}: ${soft404.reasons.join("; ")}`);
+
+  const canonicalOk =
+    evaluateCanonicalOk(effectiveUrl, extracted.canonicalUrl) && extracted.canonicalIssues.length === 0;
   const hasTitle = Boolean(extracted.title);
   const hasMeta = Boolean(extracted.metaDescription);
   const hasH1 = extracted.h1Count > 0;
@@ -2339,6 +8472,7 @@ async function processSinglePage({
     pageType,
     loadMs: extracted.loadMs,
     schemaTypes: extracted.schemaTypes,
+    headingIssues: getHeadingIssueTypes(extracted.headingFindings),
   });
 
   const visibilityScore = computeVisibilityScore({
@@ -2349,6 +8483,7 @@ async function processSinglePage({
     internalLinkDepth: depth,
     noindex: extracted.noindex,
     loadMs: extracted.loadMs,
+    robotsDirectives: extracted.robotsDirectives,
   });
 
   const revenueScore = computeRevenueScore(pageType);
@@ -2374,12 +8509,14 @@ async function processSinglePage({
     hasTitle,
     hasMeta,
     hasH1,
+    soft404: soft404.soft404,
   });
 
   const priorityBucket = computePriorityBucket(pageOpportunityScore, revenueScore, pageType);
+  const imageScore = computeImageScore(extracted.imageAudit);
 
   console.log(
-    `[page scored] ${effectiveUrl} -> ${pageType} structural=${structuralScore} visibility=${visibilityScore} revenue=${revenueScore} opp=${pageOpportunityScore}`
+    `[page scored] ${effectiveUrl} -> ${pageType} structural=${structuralScore} visibility=${visibilityScore} revenue=${revenueScore} opp=${pageOpportunityScore} image=${imageScore}`
   );
 
   await upsertPageSnapshotCrawl({
@@ -2394,16 +8531,69 @@ async function processSinglePage({
       title: extracted.title || null,
       meta_description: extracted.metaDescription || null,
       canonical_url: extracted.canonicalUrl,
+      canonical_resolved: extracted.canonicalResolved,
+      canonical_tags: extracted.canonicalTags,
+      canonical_issues: extracted.canonicalIssues,
+      structured_data: extracted.structuredData,
+      schema_findings: extracted.schemaFindings,
+      hreflang: [
+        ...extracted.hreflangLinks,
+        ...(sitemapEntry?.hreflang || []).map((link) => ({
+          lang: link.lang,
+          href: link.href,
+          resolved: resolveHref(link.href, effectiveUrl),
+          source: "sitemap",
+        })),
+      ],
       h1_count: extracted.h1Count,
       h1_text: extracted.h1Text,
+      heading_outline: extracted.headingOutline,
+      heading_findings: extracted.headingFindings,
       word_count: extracted.wordCount,
+      // Main content before template boilerplate is removed; removeTemplateBoilerplate sets word_count from it
+      main_word_count: extracted.wordCount,
+      body_word_count: extracted.bodyWordCount,
+      content_blocks: extracted.contentBlocks,
+      repeated_block_words: 0,
+      boilerplate_ratio: extracted.boilerplateRatio,
+      main_content_method: extracted.mainContentMethod,
       robots_meta: extracted.robotsMeta,
+      ...robotsDirectiveColumns(extracted.xRobotsTag, extracted.robotsDirectivesByAgent),
       noindex: extracted.noindex,
       indexable: extracted.indexable,
       internal_links_count: links.length,
       internal_link_depth: depth,
       page_type: pageType,
       fetch_error: null,
+      rendered_js: renderJs,
+      raw_title: rawExtracted ? rawExtracted.title || null : null,
+      raw_h1_text: rawExtracted ? rawExtracted.h1Text : null,
+      raw_word_count: rawExtracted ? rawExtracted.wordCount : null,
+      js_dependent_content: jsComparison.jsDependent,
+      in_sitemap: Boolean(sitemapEntry),
+      sitemap_lastmod: sitemapEntry?.lastmod || null,
+      redirect_chain: redirectChain,
+      redirect_count: redirectChain.length,
+      etag: fetched.etag || null,
+      last_modified: fetched.lastModified || null,
+      content_hash: contentHash,
+      content_exact_hash: extracted.contentFingerprint?.exactHash || null,
+      content_minhash: extracted.contentFingerprint?.minhash || null,
+      unchanged,
+      internal_links: links,
+      link_edges: extracted.linkEdges,
+      soft_404: soft404.soft404,
+      soft_404_reasons: soft404.reasons.length ? soft404.reasons : null,
+      external_links: extracted.externalLinks,
+      images: extracted.images,
+      image_audit: extracted.imageAudit,
+      social_meta: extracted.socialMeta,
+      social_preview: extracted.socialPreview,
+      social_findings: extracted.socialFindings.length ? extracted.socialFindings : null,
+      location_signals: extracted.locationSignals,
+      fetch_profile: fetchProfile,
+      compare_profile: profileCompared ? compareProfile : null,
+      profile_differences: profileCompared ? profileDifferences : null,
     },
   });
 
@@ -2435,6 +8625,7 @@ async function processSinglePage({
       paid_risk_score: paidRiskScore,
       page_opportunity_score: pageOpportunityScore,
       priority_bucket: priorityBucket,
+      image_score: imageScore,
     },
   });
 
@@ -2456,6 +8647,20 @@ async function processSinglePage({
     revenueScore,
     internalLinkDepth: depth,
     loadMs: extracted.loadMs,
+    jsDependencyReasons: jsComparison.reasons,
+    redirectChain,
+    redirectLoop: false,
+    profileDifferences,
+    fetchProfile,
+    compareProfile,
+    canonicalTags: extracted.canonicalTags,
+    canonicalIssues: extracted.canonicalIssues,
+    canonicalTarget: extracted.canonicalResolved,
+    schemaFindings: extracted.schemaFindings,
+    imageAudit: extracted.imageAudit,
+    headingFindings: extracted.headingFindings,
+    socialFindings: extracted.socialFindings,
+    soft404,
   });
 
   await replaceActions({ snapshotId, pageId, actions });
@@ -2480,7 +8685,22 @@ async function processSinglePage({
       internalLinkDepth: depth,
       locationSignals: extracted.locationSignals,
       bodyTextSnippet: extracted.bodyTextSnippet,
+      jsDependentContent: jsComparison.jsDependent,
+      schemaFindings: extracted.schemaFindings,
+      title: extracted.title,
+      metaDescription: extracted.metaDescription,
+      h1Text: extracted.h1Text,
+      canonicalisedElsewhere: Boolean(extracted.canonicalResolved) && extracted.canonicalResolved !== effectiveUrl,
+      soft404: soft404.soft404,
+      imageScore,
+      imageAudit: extracted.imageAudit,
+      headingFindings: extracted.headingFindings,
+      socialFindings: extracted.socialFindings,
+      mainContentMethod: extracted.mainContentMethod,
+      boilerplateRatio: extracted.boilerplateRatio,
     });
+    registerIncrementalPage(summaryState, effectiveUrl, { previousCrawl, unchanged });
+    if (profileCompared) registerProfileComparison(summaryState, effectiveUrl, profileDifferences);
   }
 
   return {
@@ -2489,7 +8709,15 @@ async function processSinglePage({
     pageId,
     pageType,
     links,
+    outOfScopeLinks: extracted.outOfScopeLinks,
     fetchError: null,
+    statusCode: extracted.statusCode,
+    noindex: extracted.noindex,
+    canonicalUrl: extracted.canonicalUrl,
+    canonicalOk,
+    redirectChain,
+    redirectLoop: false,
+    unchanged,
   };
 }
 
@@ -2508,6 +8736,11 @@ async function markSnapshotRunning(snapshotId) {
   if (error) console.error(`[snapshot running update] snapshot=${snapshotId}`, error.message);
 }
 
+/**
+ * Ask the gsc-fetch-data function to write impressions onto this snapshot's
+ * pages. Returns the pages Search Console reported as { url, impressions },
+ * including ones the crawl never reached, for link coverage.
+ */
 async function fetchGscData(siteId, snapshotId) {
   const fnUrl = `${SUPABASE_URL}/functions/v1/gsc-fetch-data`;
   const res = await fetch(fnUrl, {
@@ -2516,14 +8749,18 @@ async function fetchGscData(siteId, snapshotId) {
       "Content-Type": "application/json",
       Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
     },
-    body: JSON.stringify({ site_id: siteId, snapshot_id: snapshotId }),
+    body: JSON.stringify({ site_id: siteId, snapshot_id: snapshotId, include_rows: true }),
   });
   const data = await res.json();
-  if (data.ok) {
-    console.log(`[gsc fetch] updated ${data.updated}/${data.pages} pages for snapshot=${snapshotId}`);
-  } else {
+  if (!data.ok) {
     console.log(`[gsc fetch] skipped (${data.reason || "unknown"}) for snapshot=${snapshotId}`);
+    return [];
   }
+  console.log(`[gsc fetch] updated ${data.updated}/${data.pages} pages for snapshot=${snapshotId}`);
+  // Rows follow the Search Analytics shape: keys[0] is the page URL
+  return (Array.isArray(data.rows) ? data.rows : [])
+    .map((row) => ({ url: row.keys?.[0] || row.page, impressions: Number(row.impressions) || 0 }))
+    .filter((row) => row.url);
 }
 
 async function fetchPsiData(snapshotId) {
@@ -2685,6 +8922,55 @@ async function completeJob(jobId, status, errorMessage = null) {
   }
 }
 
+/**
+ * Snapshot-wide passes once every page is stored. Order matters: the link
+ * graph rescoring sees duplicate-metadata flags, and link coverage needs the
+ * graph plus GSC impressions. GSC is only fetched when a siteId is given.
+ */
+async function runPostCrawlPasses({
+  snapshotId,
+  jobId,
+  siteId = null,
+  summaryState,
+  fetchProfile,
+  respectRobots,
+  waitForHostSlot,
+  duplicateThreshold,
+  checkExternal = false,
+  checkImages = false,
+  scope,
+  sitemapUrls = new Map(),
+  frontierComplete = false,
+}) {
+  // Word counts first: later passes and every rescore read word_count
+  await removeTemplateBoilerplate({ snapshotId, summaryState });
+  await verifyCanonicalTargets({ snapshotId, jobId, summaryState, fetchProfile, respectRobots, waitForHostSlot });
+  await validateHreflang({ snapshotId, jobId, summaryState, fetchProfile, respectRobots, waitForHostSlot, sitemapUrls });
+  await clusterDuplicateContent({ snapshotId, summaryState, threshold: duplicateThreshold });
+  await reportDuplicateMetadata({ snapshotId, summaryState });
+  await analyseLinkGraph({ snapshotId, summaryState });
+  await reportBrokenLinks({ snapshotId, summaryState });
+  await reportLinksToRedirects({ snapshotId, summaryState });
+  // Pages reused from a snapshot that ran the optional checks still carry their actions
+  if (checkExternal) await checkExternalLinks({ snapshotId, jobId, summaryState, fetchProfile });
+  else await deletePageActionsOfTypes(snapshotId, EXTERNAL_LINK_ACTION_TYPES);
+  if (checkImages) await checkImageSizes({ snapshotId, jobId, summaryState, fetchProfile });
+  else await deletePageActionsOfTypes(snapshotId, ["compress_large_images"]);
+  await checkSocialImages({ snapshotId, jobId, summaryState, fetchProfile });
+
+  // Fetch GSC data before link coverage (GSC pages can be orphans) and the money engine,
+  // which uses impression counts for its indexed page estimate
+  let gscPages = [];
+  if (siteId) {
+    gscPages = await fetchGscData(siteId, snapshotId).catch((err) => {
+      console.warn(`[gsc fetch] skipped: ${err.message}`);
+      return [];
+    });
+  }
+
+  await reportLinkCoverage({ snapshotId, summaryState, scope, sitemapUrls, gscPages, frontierComplete });
+}
+
 async function runCrawlJob(job) {
   const jobId = job.id;
   const siteId = job.site_id;
@@ -2692,14 +8978,24 @@ async function runCrawlJob(job) {
   const seedUrl = normalizeUrl(job.seed_url);
   const maxPages = Number(job.max_pages || 8);
   const maxDepth = Number(job.max_depth || 1);
-  const crawlDelayMs = Number(job.crawl_delay_ms || 0);
+  let crawlDelayMs = Number(job.crawl_delay_ms || 0);
   const respectRobots = Boolean(job.respect_robots);
   const renderJs = Boolean(job.render_js);
+  const concurrency = clamp(Number(job.crawl_concurrency || CRAWL_CONCURRENCY), 1, 16);
+  // Rendered DOMs are not comparable with conditional GETs, so render_js jobs always crawl in full
+  const incremental = Boolean(job.incremental) && !renderJs;
+  const fetchProfile = resolveFetchProfile(job.fetch_profile);
+  const compareProfile = resolveCompareProfile(job, fetchProfile);
+  const robotsToken = getRobotsToken(fetchProfile);
+  const scope = createCrawlScope(seedUrl, job.scope || {});
+  const duplicateThreshold = clamp(Number(job.duplicate_threshold || DUPLICATE_SIMILARITY_THRESHOLD), 0.5, 1);
+  const checkExternal = Boolean(job.check_external_links);
+  const checkImages = Boolean(job.check_image_sizes);
 
   if (!seedUrl) throw new Error("Invalid seed_url on crawl job");
 
   console.log(
-    `[job start] id=${jobId} seed=${seedUrl} maxPages=${maxPages} maxDepth=${maxDepth} crawlDelayMs=${crawlDelayMs} respectRobots=${respectRobots} renderJs=${renderJs}`
+    `[job start] id=${jobId} seed=${seedUrl} maxPages=${maxPages} maxDepth=${maxDepth} crawlDelayMs=${crawlDelayMs} respectRobots=${respectRobots} renderJs=${renderJs} concurrency=${concurrency} incremental=${incremental} profile=${fetchProfile} compareProfile=${compareProfile || "none"}`
   );
 
   let pagesDone = 0;
@@ -2707,123 +9003,352 @@ async function runCrawlJob(job) {
 
   const seen = new Set();
   const queued = new Set();
+  const robotsBlocked = new Set();
+  const outOfScope = new Set();
+  const trapped = new Set();
+  const trapState = createTrapState();
+  let sitemapUrls = new Map();
+  let previousCrawls = new Map();
   const homepageNavSet = new Set();
   const siblingTypeCounts = {};
   const queue = [];
   const queueState = createQueueState();
   const summaryState = createSnapshotSummaryState(seedUrl);
+  summaryState.profiles.fetch_profile = fetchProfile;
+  summaryState.profiles.compare_profile = compareProfile;
+  summaryState.scope.config = describeCrawlScope(scope);
+  let siteType = "mixed";
+  let checkpointedPages = 0;
+  // Set when a discovered URL is left uncrawled for depth or priority, so
+  // link coverage knows the crawled link graph is not the whole site
+  let frontierCut = false;
+
+  const captureCheckpoint = () => ({
+    version: CHECKPOINT_VERSION,
+    snapshot_id: snapshotId,
+    saved_at: nowIso(),
+    pages_done: pagesDone,
+    errors_count: errorsCount,
+    crawl_delay_ms: crawlDelayMs,
+    site_type: siteType,
+    seen: [...seen],
+    queued: [...queued],
+    robots_blocked: [...robotsBlocked],
+    out_of_scope: [...outOfScope],
+    trapped: [...trapped],
+    trap_state: trapState,
+    homepage_nav: [...homepageNavSet],
+    sibling_type_counts: siblingTypeCounts,
+    queue,
+    queue_state: queueState,
+    summary_state: summaryState,
+    sitemap_urls: [...sitemapUrls.entries()],
+    frontier_cut: frontierCut,
+  });
 
   const heartbeatTimer = setInterval(() => {
     heartbeat(jobId);
   }, HEARTBEAT_MS);
 
-  try {
-    await markSnapshotRunning(snapshotId);
-    await heartbeat(jobId);
+  // Same-site URLs rejected by the scope are counted once per rule; other hosts are ignored
+  const noteOutOfScope = (url, rule) => {
+    if (rule === "external" || outOfScope.has(url)) return;
+    outOfScope.add(url);
+    recordOutOfScope(summaryState, url, rule);
+  };
 
-    const homepageResult = await processSinglePage({
-      siteId,
-      snapshotId,
-      jobId,
-      url: seedUrl,
-      depth: 0,
-      seedUrl,
-      summaryState,
-    });
+  const enqueueCandidate = async (candidate, { depth, parentPageType, siteType }) => {
+    const scopedUrl = normalizeScopedUrl(scope, candidate.url);
+    if (!scopedUrl) return;
+    const link = { ...candidate, url: scopedUrl };
+
+    if (seen.has(link.url) || queued.has(link.url) || robotsBlocked.has(link.url)) return;
+    if (outOfScope.has(link.url) || trapped.has(link.url)) return;
+    const scopeVerdict = evaluateScope(scope, link.url);
+    if (!scopeVerdict.inScope) {
+      noteOutOfScope(link.url, scopeVerdict.rule);
+      return;
+    }
+    if (!isLikelyHtmlUrl(link.url)) return;
 
-    seen.add(homepageResult.url);
-    pagesDone += 1;
-    if (homepageResult.fetchError) errorsCount += 1;
+    const trapType = detectCrawlTrap(trapState, link.url);
+    if (trapType) {
+      trapped.add(link.url);
+      recordCrawlTrap(summaryState, link.url, trapType);
+      return;
+    }
 
-    registerSelectedPage(
-      queueState,
-      homepageResult.pageType,
-      getUrlFamily(homepageResult.url, homepageResult.pageType)
-    );
+    if (depth > maxDepth) {
+      frontierCut = true;
+      return;
+    }
 
-    await updateJobProgress(jobId, pagesDone, errorsCount);
+    // Claim the URL before awaiting so concurrent pages cannot enqueue it twice
+    queued.add(link.url);
+
+    if (respectRobots) {
+      const verdict = await checkRobotsAllowed(jobId, link.url, robotsToken);
+      if (!verdict.allowed) {
+        queued.delete(link.url);
+        robotsBlocked.add(link.url);
+        recordRobotsBlocked(summaryState, link.url, verdict.rule);
+        console.log(`[robots blocked] ${link.url} (${verdict.rule})`);
+        return;
+      }
+    }
 
-    if (pagesDone >= maxPages) {
-      summaryState.site_type = "mixed";
-      const summaryJson = buildSnapshotSummary(summaryState);
-      await updateSnapshotSummary(snapshotId, summaryJson);
-      await generateSiteWideActions(snapshotId, summaryState);
+    const priority = buildPriorityScore({
+      candidateUrl: link.url,
+      anchorText: link.anchorText,
+      depth,
+      parentPageType,
+      siteType,
+      homepageNavSet,
+      siblingTypeCounts,
+      queueState,
+      maxPages,
+      sitemapEntry: sitemapUrls.get(link.url) || null,
+    });
 
-      await markSnapshotFinished(snapshotId);
-      await completeJob(jobId, "completed");
-      deleteCookieJar(jobId);
-      console.log(`[job done] id=${jobId} pages=${pagesDone}`);
+    if (priority.score < 8) {
+      queued.delete(link.url);
+      frontierCut = true;
       return;
     }
 
-    let homepageLinks = homepageResult.links || [];
-    try {
-      const homeFetch = await fetchHtml(seedUrl, { jobId });
-      if (homeFetch.contentType.includes("text/html")) {
-        const $ = cheerio.load(homeFetch.html || "");
-        const navLinks = extractNavLinks($, seedUrl);
+    queue.push({
+      url: link.url,
+      depth,
+      score: priority.score,
+      pageType: priority.pageType,
+      familyKey: priority.familyKey,
+      anchorText: link.anchorText || "",
+      parentPageType,
+    });
+
+    recordQueuedForTraps(trapState, link.url);
+    siblingTypeCounts[priority.pageType] =
+      (siblingTypeCounts[priority.pageType] || 0) + 1;
+    registerEnqueuedCandidate(queueState, priority.pageType, priority.familyKey);
+  };
+
+  try {
+    await markSnapshotRunning(snapshotId);
+    await heartbeat(jobId);
+
+    if (incremental) {
+      const previousSnapshotId = await loadPreviousSnapshotId(siteId, snapshotId);
+      if (previousSnapshotId) {
+        previousCrawls = await loadPreviousCrawlIndex(previousSnapshotId);
+        summaryState.incremental.enabled = true;
+        summaryState.incremental.previous_snapshot_id = previousSnapshotId;
+      }
+      console.log(`[incremental] previous snapshot=${previousSnapshotId || "none"} pages=${previousCrawls.size}`);
+    }
+
+    const checkpoint = await loadCrawlCheckpoint(jobId, snapshotId);
+    // Created once the crawl delay is known (robots.txt or the checkpoint)
+    let waitForHostSlot = null;
+
+    if (checkpoint) {
+      checkpoint.seen.forEach((url) => seen.add(url));
+      checkpoint.queued.forEach((url) => queued.add(url));
+      checkpoint.robots_blocked.forEach((url) => robotsBlocked.add(url));
+      checkpoint.out_of_scope.forEach((url) => outOfScope.add(url));
+      checkpoint.trapped.forEach((url) => trapped.add(url));
+      Object.assign(trapState, checkpoint.trap_state);
+      checkpoint.homepage_nav.forEach((url) => homepageNavSet.add(url));
+      Object.assign(siblingTypeCounts, checkpoint.sibling_type_counts);
+      Object.assign(queueState, checkpoint.queue_state);
+      Object.assign(summaryState, checkpoint.summary_state);
+      queue.push(...checkpoint.queue);
+      sitemapUrls = new Map(checkpoint.sitemap_urls);
+      // Older checkpoints did not record it; assume the frontier was cut
+      frontierCut = checkpoint.frontier_cut !== false;
+      pagesDone = checkpoint.pages_done;
+      errorsCount = checkpoint.errors_count;
+      crawlDelayMs = checkpoint.crawl_delay_ms;
+      siteType = checkpoint.site_type;
+      checkpointedPages = pagesDone;
+
+      // Pages stored after the checkpoint will be crawled again; drop their rows
+      // so the snapshot ends up exactly as an uninterrupted run would leave it
+      await discardRowsAfterCheckpoint(snapshotId, seen);
+
+      console.log(
+        `[job resume] id=${jobId} from checkpoint saved_at=${checkpoint.saved_at} pages=${pagesDone} queue=${queue.length}`
+      );
+    } else {
+      if (respectRobots) {
+        const robots = await getRobotsTxt(jobId, seedUrl);
+        const group = selectRobotsGroup(robots, robotsToken);
+
+        summaryState.robots.respected = true;
+        summaryState.robots.user_agent = robotsToken;
+        summaryState.robots.robots_txt_url = robots?.url || null;
+        summaryState.robots.robots_txt_status = robots?.status ?? null;
+
+        if (group.crawlDelay != null) {
+          const robotsDelayMs = Math.round(group.crawlDelay * 1000);
+          summaryState.robots.crawl_delay_ms = robotsDelayMs;
+          crawlDelayMs = Math.max(crawlDelayMs, robotsDelayMs);
+        }
 
-        navLinks.forEach((link) => homepageNavSet.add(link.url));
+        console.log(
+          `[robots] ${robots?.url} status=${robots?.status ?? "error"} agent=${robotsToken} rules=${group.rules.length} crawlDelayMs=${crawlDelayMs}`
+        );
+      }
 
-        const merged = new Map();
-        [...homepageLinks, ...navLinks].forEach((link) => {
-          if (!merged.has(link.url)) merged.set(link.url, link);
+      // Sitemap: lines are read from robots.txt even when its rules are not enforced
+      try {
+        const discovered = await discoverSitemapUrls({
+          seedUrl,
+          scope,
+          robots: await getRobotsTxt(jobId, seedUrl),
         });
-        homepageLinks = [...merged.values()];
+        sitemapUrls = discovered.urls;
+        summaryState.sitemap.files = discovered.files;
+        summaryState.sitemap.urls_listed = sitemapUrls.size;
+        console.log(`[sitemap] files=${discovered.files.length} urls=${sitemapUrls.size}`);
+      } catch (err) {
+        console.warn("[sitemap discovery warning]", err.message);
       }
-    } catch (err) {
-      console.warn("[homepage nav extraction warning]", err.message);
-    }
-
-    const siteType = inferSiteTypeFromHomepage(homepageLinks);
-    summaryState.site_type = siteType;
-    console.log(`[site type inferred] ${siteType}`);
-
-    for (const link of homepageLinks) {
-      if (seen.has(link.url) || queued.has(link.url)) continue;
-      if (!sameHost(link.url, seedUrl)) continue;
-      if (!isLikelyHtmlUrl(link.url)) continue;
-
-      const priority = buildPriorityScore({
-        candidateUrl: link.url,
-        anchorText: link.anchorText,
-        depth: 1,
-        parentPageType: "homepage",
-        siteType,
-        homepageNavSet,
-        siblingTypeCounts,
-        queueState,
-        maxPages,
-      });
 
-      if (priority.score < 8) continue;
+      waitForHostSlot = createHostThrottle(HOST_MIN_GAP_MS + crawlDelayMs);
 
-      queue.push({
-        url: link.url,
-        depth: 1,
-        score: priority.score,
-        pageType: priority.pageType,
-        familyKey: priority.familyKey,
-        anchorText: link.anchorText || "",
-        parentPageType: "homepage",
-      });
+      // The seed obeys robots.txt like any frontier URL; the sitemap can still seed the crawl
+      const seedVerdict = respectRobots ? await checkRobotsAllowed(jobId, seedUrl, robotsToken) : null;
+      if (seedVerdict && !seedVerdict.allowed) {
+        robotsBlocked.add(seedUrl);
+        recordRobotsBlocked(summaryState, seedUrl, seedVerdict.rule);
+        console.log(`[robots blocked] ${seedUrl} (${seedVerdict.rule})`);
+      } else {
+        // With path prefixes or include rules the seed itself can be out of scope:
+        // it is then fetched for its links only, never stored, scored or counted
+        const seedScope = evaluateScope(scope, seedUrl);
+        let homepageLinks = [];
+
+        if (seedScope.inScope) {
+          const homepageResult = await processSinglePage({
+            siteId,
+            snapshotId,
+            jobId,
+            url: seedUrl,
+            depth: 0,
+            seedUrl,
+            scope,
+            summaryState,
+            renderJs,
+            sitemapEntry: sitemapUrls.get(seedUrl) || null,
+            waitForHostSlot,
+            previousCrawl: previousCrawls.get(seedUrl) || null,
+            fetchProfile,
+            compareProfile,
+          });
 
-      queued.add(link.url);
-      siblingTypeCounts[priority.pageType] =
-        (siblingTypeCounts[priority.pageType] || 0) + 1;
-      registerEnqueuedCandidate(queueState, priority.pageType, priority.familyKey);
-    }
+          seen.add(homepageResult.url);
+          registerSitemapPage(summaryState, sitemapUrls, seedUrl, homepageResult);
+          registerRedirectPage(summaryState, seedUrl, homepageResult);
+          (homepageResult.outOfScopeLinks || []).forEach((link) => noteOutOfScope(link.url, link.rule));
+          pagesDone += 1;
+          if (homepageResult.fetchError) errorsCount += 1;
+
+          registerSelectedPage(
+            queueState,
+            homepageResult.pageType,
+            getUrlFamily(homepageResult.url, homepageResult.pageType)
+          );
+
+          await updateJobProgress(jobId, pagesDone, errorsCount);
+
+          if (pagesDone >= maxPages) {
+            summaryState.site_type = "mixed";
+            await runPostCrawlPasses({
+              snapshotId,
+              jobId,
+              summaryState,
+              fetchProfile,
+              respectRobots,
+              waitForHostSlot,
+              duplicateThreshold,
+              checkExternal,
+              checkImages,
+              scope,
+              sitemapUrls,
+            });
+            const summaryJson = buildSnapshotSummary(summaryState);
+            await updateSnapshotSummary(snapshotId, summaryJson);
+            await generateSiteWideActions(snapshotId, summaryState);
+
+            await markSnapshotFinished(snapshotId);
+            await completeJob(jobId, "completed");
+            deleteCookieJar(jobId);
+            console.log(`[job done] id=${jobId} pages=${pagesDone}`);
+            return;
+          }
+
+          homepageLinks = homepageResult.links || [];
+        } else {
+          noteOutOfScope(seedUrl, seedScope.rule);
+          console.log(`[scope] seed ${seedUrl} is out of scope (${seedScope.rule}), following its links only`);
+        }
+
+        try {
+          await waitForHostSlot(seedUrl);
+          const homeFetch = renderJs
+            ? await fetchRendered(seedUrl, { jobId, profile: fetchProfile })
+            : await fetchHtml(seedUrl, { jobId, profile: fetchProfile });
+          if (homeFetch.contentType.includes("text/html")) {
+            const $ = cheerio.load(homeFetch.html || "");
+            const navLinks = extractNavLinks($, seedUrl);
+            // An out-of-scope seed was not analysed, so its page links come from this fetch
+            const pageLinks = seedScope.inScope
+              ? []
+              : extractInternalLinks($, normalizeUrl(homeFetch.finalUrl) || seedUrl, scope);
+
+            navLinks.forEach((link) => homepageNavSet.add(link.url));
+
+            const merged = new Map();
+            [...homepageLinks, ...pageLinks, ...navLinks].forEach((link) => {
+              if (!merged.has(link.url)) merged.set(link.url, link);
+            });
+            homepageLinks = [...merged.values()];
+          }
+        } catch (err) {
+          console.warn("[homepage nav extraction warning]", err.message);
+        }
+
+        siteType = inferSiteTypeFromHomepage(homepageLinks);
+        summaryState.site_type = siteType;
+        console.log(`[site type inferred] ${siteType}`);
+
+        for (const link of homepageLinks) {
+          await enqueueCandidate(link, {
+            depth: 1,
+            parentPageType: "homepage",
+            siteType,
+          });
+        }
+      }
 
-    while (queue.length > 0 && pagesDone < maxPages) {
-      queue.sort((a, b) => b.score - a.score);
-      const next = queue.shift();
+      // Seed the frontier from the sitemap, freshest first. Capped so a large
+      // sitemap cannot swamp the sibling/mix counters used for scoring.
+      const sitemapSeeds = [...sitemapUrls.entries()]
+        .sort((a, b) => (b[1].lastmod || "").localeCompare(a[1].lastmod || ""))
+        .slice(0, Math.max(maxPages * 5, 50));
 
-      if (!next) break;
-      if (seen.has(next.url)) continue;
-      if (next.depth > maxDepth) continue;
+      for (const [url] of sitemapSeeds) {
+        await enqueueCandidate({ url, anchorText: "" }, { depth: 1, parentPageType: "sitemap", siteType });
+      }
+
+      await saveCrawlCheckpoint(jobId, captureCheckpoint());
+      checkpointedPages = pagesDone;
+    }
 
-      if (crawlDelayMs > 0) await sleep(crawlDelayMs);
+    waitForHostSlot ||= createHostThrottle(HOST_MIN_GAP_MS + crawlDelayMs);
+    const inFlight = new Map();
 
+    const crawlQueuedPage = async (next) => {
       try {
         const pageResult = await processSinglePage({
           siteId,
@@ -2832,78 +9357,110 @@ async function runCrawlJob(job) {
           url: next.url,
           depth: next.depth,
           seedUrl,
+          scope,
           summaryState,
+          renderJs,
+          sitemapEntry: sitemapUrls.get(next.url) || null,
+          waitForHostSlot,
+          previousCrawl: previousCrawls.get(next.url) || null,
+          fetchProfile,
+          compareProfile,
         });
 
         seen.add(pageResult.url);
+        registerSitemapPage(summaryState, sitemapUrls, next.url, pageResult);
+        registerRedirectPage(summaryState, next.url, pageResult);
+        (pageResult.outOfScopeLinks || []).forEach((link) => noteOutOfScope(link.url, link.rule));
         pagesDone += 1;
         if (pageResult.fetchError) errorsCount += 1;
 
-        registerSelectedPage(
-          queueState,
-          pageResult.pageType,
-          getUrlFamily(pageResult.url, pageResult.pageType)
-        );
+        // Swap the provisional dispatch-time selection for the real classification
+        const familyKey = getUrlFamily(pageResult.url, pageResult.pageType);
+        if (pageResult.pageType !== next.pageType || familyKey !== next.familyKey) {
+          unregisterSelectedPage(queueState, next.pageType, next.familyKey);
+          registerSelectedPage(queueState, pageResult.pageType, familyKey);
+        }
 
         await updateJobProgress(jobId, pagesDone, errorsCount);
 
-        if (pagesDone >= maxPages) break;
+        if (pagesDone >= maxPages) return;
 
         for (const link of pageResult.links || []) {
-          if (seen.has(link.url) || queued.has(link.url)) continue;
-          if (!sameHost(link.url, seedUrl)) continue;
-          if (!isLikelyHtmlUrl(link.url)) continue;
-
-          const nextDepth = next.depth + 1;
-          if (nextDepth > maxDepth) continue;
-
-          const priority = buildPriorityScore({
-            candidateUrl: link.url,
-            anchorText: link.anchorText,
-            depth: nextDepth,
+          await enqueueCandidate(link, {
+            depth: next.depth + 1,
             parentPageType: pageResult.pageType,
             siteType,
-            homepageNavSet,
-            siblingTypeCounts,
-            queueState,
-            maxPages,
           });
-
-          if (priority.score < 8) continue;
-
-          queue.push({
-            url: link.url,
-            depth: nextDepth,
-            score: priority.score,
-            pageType: priority.pageType,
-            familyKey: priority.familyKey,
-            anchorText: link.anchorText || "",
-            parentPageType: pageResult.pageType,
-          });
-
-          queued.add(link.url);
-          siblingTypeCounts[priority.pageType] =
-            (siblingTypeCounts[priority.pageType] || 0) + 1;
-          registerEnqueuedCandidate(queueState, priority.pageType, priority.familyKey);
         }
       } catch (err) {
+        unregisterSelectedPage(queueState, next.pageType, next.familyKey);
         errorsCount += 1;
         summaryState.errors_count += 1;
         console.error(`[page error] ${next.url}`, err.message);
         await updateJobProgress(jobId, pagesDone, errorsCount);
       }
+    };
+
+    while (pagesDone < maxPages) {
+      // Checkpoints are taken with nothing in flight so the saved frontier is exact
+      if (pagesDone - checkpointedPages >= CHECKPOINT_EVERY_PAGES && inFlight.size === 0) {
+        await saveCrawlCheckpoint(jobId, captureCheckpoint());
+        checkpointedPages = pagesDone;
+      }
+
+      const checkpointDue = pagesDone - checkpointedPages >= CHECKPOINT_EVERY_PAGES;
+
+      while (
+        !checkpointDue &&
+        inFlight.size < concurrency &&
+        pagesDone + inFlight.size < maxPages &&
+        queue.length > 0
+      ) {
+        queue.sort(compareQueueEntries);
+        const next = queue.shift();
+
+        if (seen.has(next.url)) continue;
+        if (next.depth > maxDepth) {
+          frontierCut = true;
+          continue;
+        }
+
+        // Count it as selected now so the mix adjustments see in-flight pages
+        seen.add(next.url);
+        registerSelectedPage(queueState, next.pageType, next.familyKey);
+
+        const task = crawlQueuedPage(next).finally(() => inFlight.delete(next.url));
+        inFlight.set(next.url, task);
+      }
+
+      if (inFlight.size === 0) break;
+      await Promise.race(inFlight.values());
     }
 
+    await Promise.all(inFlight.values());
+
+    await runPostCrawlPasses({
+      snapshotId,
+      jobId,
+      siteId,
+      summaryState,
+      fetchProfile,
+      respectRobots,
+      waitForHostSlot,
+      duplicateThreshold,
+      checkExternal,
+      checkImages,
+      scope,
+      sitemapUrls,
+      // The loop only stops short of the page budget once the queue is drained
+      frontierComplete: !frontierCut && pagesDone < maxPages,
+    });
+
     summaryState.errors_count = errorsCount;
     const summaryJson = buildSnapshotSummary(summaryState);
     await updateSnapshotSummary(snapshotId, summaryJson);
     await generateSiteWideActions(snapshotId, summaryState);
 
-    // Fetch GSC data FIRST so money engine can use impression counts for indexed page estimate
-    await fetchGscData(siteId, snapshotId).catch((err) =>
-      console.warn(`[gsc fetch] skipped: ${err.message}`)
-    );
-
     // Run PSI and money engine in parallel BEFORE marking snapshot finished
     // so all data is ready when the frontend loads results
     await Promise.all([
@@ -2917,7 +9474,12 @@ async function runCrawlJob(job) {
 
     await markSnapshotFinished(snapshotId);
     await completeJob(jobId, "completed");
+    await clearCrawlCheckpoint(jobId);
     console.log(`[job done] id=${jobId} pages=${pagesDone} errors=${errorsCount}`);
+    if (summaryState.incremental.enabled) {
+      const { pages_unchanged, pages_changed, pages_new } = summaryState.incremental;
+      console.log(`[incremental] unchanged=${pages_unchanged} changed=${pages_changed} new=${pages_new}`);
+    }
   } catch (err) {
     console.error(`[job failed] id=${jobId}`, err);
     await markSnapshotFailed(snapshotId, "worker_run", err.message || "Unknown crawl error");
@@ -2926,6 +9488,12 @@ async function runCrawlJob(job) {
   } finally {
     clearInterval(heartbeatTimer);
     deleteCookieJar(jobId);
+    deleteRobotsCache(jobId);
+    deleteSoft404Templates(jobId);
+    deleteExternalLinkCache(jobId);
+    deleteImageSizeCache(jobId);
+    deleteSocialImageCache(jobId);
+    if (renderJs) await closeBrowser();
 
     const { error } = await supabase
       .from("scc_crawl_jobs")